@@ -0,0 +1,55 @@
+"use strict";
+
+/*
+ * Compares the cost of restoring the ids of cached markup on the hits of a page:
+ * pre-split segments joined with the ids of the position, against splitting the markup
+ * on each hit.
+ *
+ *   npm run benchmark
+ */
+
+process.env.NODE_ENV = "production";
+
+const ITEMS = 500;
+const ITERATIONS = 2000;
+const NS_PER_MS = 1e6;
+
+const time = (name, iterations, fn) => {
+  for (let i = 0; i < iterations / 10; i++) {
+    fn(i);
+  }
+  const start = process.hrtime();
+  for (let i = 0; i < iterations; i++) {
+    fn(i);
+  }
+  const elapsed = process.hrtime(start);
+  const ns = (elapsed[0] * 1e9 + elapsed[1]) / iterations;
+  console.log(`  ${name}: ${(ns / NS_PER_MS).toFixed(4)} ms per hit`); // eslint-disable-line no-console
+  return ns;
+};
+
+// A page rendering a large cached component, with numbered ids
+const ref = require("..")({components: {"List": {cacheAttrs: ["id"]}}});
+const React = require("react");
+const ReactDOMServer = require("react-dom/server");
+
+const List = (props) => React.createElement("ul", null, Array.from({length: ITEMS}, (v, i) =>
+  React.createElement("li", {key: i}, React.createElement("b", null, `Item ${i} of ${props.id}`), " ", i)));
+List.displayName = "List";
+const page = (i) => React.createElement("main", null,
+  Array.from({length: i % 5}, (v, j) => React.createElement("p", {key: j}, j)),
+  React.createElement(List, {id: 1}));
+
+ReactDOMServer.renderToString(page(0));
+const entry = ref.cacheDump("List")[0].v;
+const numberedSegments = entry.segments;
+console.log(`React 15 page, ${entry.markup.length} characters cached`); // eslint-disable-line no-console
+const before = time("split on each hit", ITERATIONS / 10, (i) => {
+  delete entry.segments;
+  return ReactDOMServer.renderToString(page(i));
+});
+const after = time("pre-split segments", ITERATIONS / 10, (i) => {
+  entry.segments = numberedSegments;
+  return ReactDOMServer.renderToString(page(i));
+});
+console.log(`  ${(before / after).toFixed(1)}x faster`); // eslint-disable-line no-console
@@ -0,0 +1,42 @@
+"use strict";
+
+const react15 = require("./react15");
+const react16 = require("./react16");
+
+const ADAPTERS = [react15, react16];
+
+const detectReactVersion = () =>
+  require("react-dom/package.json").version; // eslint-disable-line global-require
+
+/**
+ * Picks the renderer adapter used to hook into React's server renderer.
+ *
+ * @param {string|Object} renderer an optional adapter name (e.g. "react16") or a custom
+ * adapter object; when omitted the adapter is picked from the installed react-dom version
+ * @returns {Object} the renderer adapter
+ */
+const select = (renderer) => {
+  if (renderer && typeof renderer === "object") {
+    return renderer;
+  }
+  if (renderer) {
+    const named = ADAPTERS.filter((adapter) => adapter.name === renderer)[0];
+    if (!named) {
+      throw new Error(`react-ssr-optimization: unknown renderer "${renderer}"`);
+    }
+    return named;
+  }
+  const version = detectReactVersion();
+  const detected = ADAPTERS.filter((adapter) => adapter.supports(version))[0];
+  if (!detected) {
+    throw new Error(`react-ssr-optimization: react-dom ${version} is not supported`);
+  }
+  return detected;
+};
+
+module.exports = {
+  select: select,
+  detectReactVersion: detectReactVersion,
+  react15: react15,
+  react16: react16
+};
@@ -0,0 +1,209 @@
+"use strict";
+
+const wrap = require("lodash/wrap");
+const MemoizedMarkupStream = require("../stream");
+const camelizeStyleName = require("../template").camelizeStyleName;
+const scope = require("../scope");
+const hookRequire = require("./require-hook");
+
+const MAJOR_VERSION = 15;
+
+// The positions of the arguments of mountComponent
+const HOST_PARENT_ARG = 1;
+const HOST_CONTAINER_INFO_ARG = 2;
+const CONTEXT_ARG = 3;
+
+// React 15 numbers the ids of host and text components in the order of the markup
+const NUMBERED_ID = /( data-reactid="|<!-- react-(?:text|empty): )(\d+)/g;
+
+let escapeTextContentForBrowser;
+let dangerousStyleValue;
+
+// The wrapped instantiateReactComponent of each copy of React loaded
+const wrappers = new WeakMap();
+let unhook = null;
+
+/*
+ * React 15 adapter. Every component is created through the
+ * react-dom/lib/instantiateReactComponent module, so a require() hook hands React a
+ * wrapped version that intercepts mountComponent of the cached components.
+ */
+
+const ID_ATTRIBUTE = "data-reactid=\"";
+const ROOT_MARKER = " data-reactroot=\"\"";
+
+/**
+ * Splits markup around its numbered ids, without the data-reactroot of the root element,
+ * so they can be set for another position by joining the segments with ids.
+ *
+ * @param {string} markup the markup of a component
+ * @returns {Array} the segments of the markup
+ */
+const splitIds = (markup) => {
+  const stripped = markup.split(ROOT_MARKER).join("");
+  const segments = [];
+  let last = 0;
+  stripped.replace(NUMBERED_ID, (match, prefix, id, index) => { // eslint-disable-line max-params
+    segments.push(stripped.slice(last, index + prefix.length));
+    last = index + match.length;
+    return match;
+  });
+  segments.push(stripped.slice(last));
+  return segments;
+};
+
+// React 15 numbers ids with a counter of the container, so the ids of markup restored
+// from the cache follow the ones rendered before it. The element at the root of the page
+// has data-reactroot, the checksum of the page then matches the one of the markup the
+// client renders.
+const joinNumberedIds = (segments, first, isRoot) => {
+  let markup = segments[0];
+  if (isRoot && segments.length > 1 && markup.endsWith(` ${ID_ATTRIBUTE}`)) {
+    markup = `${markup.slice(0, -ID_ATTRIBUTE.length - 1)}${ROOT_MARKER} ${ID_ATTRIBUTE}`;
+  }
+  for (let i = 1; i < segments.length; i++) {
+    markup += (first + i - 1) + segments[i];
+  }
+  return markup;
+};
+
+// The ids of markup rendered at the position are left as they are. The ids following the
+// ones of a hit are numbered after them.
+const restoreNumberedIds = (position) => (markup, cachedRootId, segments) => {
+  if (position.mounted) {
+    return markup;
+  }
+  const split = segments || splitIds(markup);
+  position.next = position.first + split.length - 1;
+  position.hostContainerInfo._idCounter = position.next;
+  return joinNumberedIds(split, position.first, position.isRoot);
+};
+
+// Markup rendered by renderToStaticMarkup has no ids
+const keepIds = (markup) => markup;
+
+// Every instance is created through the wrapper, which intercepts mountComponent of the
+// cached components when an optimizer is installed
+const wrapInstantiate = (InstantiateReactComponent) => {
+  if (wrappers.has(InstantiateReactComponent)) {
+    return wrappers.get(InstantiateReactComponent);
+  }
+  const WrappedInstantiateReactComponent = wrap(InstantiateReactComponent,
+    function (instantiate) {
+      const instance = instantiate.apply(
+        instantiate, [].slice.call(arguments, 1));
+      const optimizer = scope.current();
+      if (!optimizer) {
+        return instance;
+      }
+      // Outside production React prevents extensions of its instances, so the wrapped
+      // methods are set on an object inheriting from the instance
+      const component = Object.isExtensible(instance) ? instance : Object.create(instance);
+      if (component._instantiateReactComponent
+        && (!component._instantiateReactComponent.__wrapped)) {
+        component._instantiateReactComponent = WrappedInstantiateReactComponent;
+      }
+      if (optimizer.enabled) {
+        const curEl = component._currentElement;
+        if (optimizer.shouldComponentBeCached(curEl)) {
+          component.mountComponent = wrap(
+            component.mountComponent,
+            function (mount) {
+              const args = [].slice.call(arguments, 1);
+              const transaction = args[0];
+              const staticMarkup = Boolean(transaction && transaction.renderToStaticMarkup);
+              const hostContainerInfo = args[HOST_CONTAINER_INFO_ARG];
+              const position = hostContainerInfo && !staticMarkup ? {
+                hostContainerInfo: hostContainerInfo, first: hostContainerInfo._idCounter,
+                isRoot: !args[HOST_PARENT_ARG], mounted: false, next: null
+              } : null;
+              const mountAs = (element, context) => {
+                const mountArgs = args.slice();
+                mountArgs[CONTEXT_ARG] = context || args[CONTEXT_ARG];
+                if (position) {
+                  // Hits are verified by mounting them at the position of their ids
+                  hostContainerInfo._idCounter = position.first;
+                  position.mounted = true;
+                }
+                component._currentElement = element || curEl;
+                try {
+                  return mount.apply(component, mountArgs);
+                } finally {
+                  component._currentElement = curEl;
+                  if (position && position.next !== null) {
+                    hostContainerInfo._idCounter = position.next;
+                  }
+                }
+              };
+              return optimizer.renderComponent(curEl, mountAs, null,
+                position ? restoreNumberedIds(position) : keepIds, args[CONTEXT_ARG],
+                staticMarkup);
+            });
+        }
+      }
+      return component;
+    }
+  );
+
+  WrappedInstantiateReactComponent.__wrapped = true;
+  wrappers.set(InstantiateReactComponent, WrappedInstantiateReactComponent);
+  return WrappedInstantiateReactComponent;
+};
+
+const install = () => {
+  /* eslint-disable global-require */
+  escapeTextContentForBrowser = require("react-dom/lib/escapeTextContentForBrowser");
+  dangerousStyleValue = require("react-dom/lib/dangerousStyleValue");
+  /* eslint-enable global-require */
+
+  if (!unhook) {
+    unhook = hookRequire((path, m) => {
+      return path === "./instantiateReactComponent" ? wrapInstantiate(m) : m;
+    });
+  }
+};
+
+// Copies of React loaded from now on get the original instantiateReactComponent, the
+// wrapper of the copies already loaded calls through to it
+const uninstall = () => {
+  if (unhook) {
+    unhook();
+    unhook = null;
+  }
+};
+
+// Numbers the ids of the markup in order from first, or from its first id
+const renumberIds = (markup, first) => {
+  let id = first === undefined ? null : first - 1;
+  return markup.replace(NUMBERED_ID, (match, prefix, current) => {
+    id = id === null ? parseInt(current, 10) : id + 1;
+    return prefix + id;
+  });
+};
+
+// React 15 has no streaming renderer, the whole markup is rendered on the first read.
+const renderToStream = (element, makeStaticMarkup) => new MemoizedMarkupStream({
+  exhausted: false,
+  read() {
+    const ReactDOMServer = require("react-dom/server"); // eslint-disable-line global-require
+    this.exhausted = true;
+    return makeStaticMarkup ? ReactDOMServer.renderToStaticMarkup(element)
+      : ReactDOMServer.renderToString(element);
+  }
+});
+
+module.exports = {
+  name: "react15",
+  supports: (version) => parseInt(version, 10) === MAJOR_VERSION,
+  escapeTextContentForBrowser: (text) => escapeTextContentForBrowser(text),
+  styleValue: (cssName, value) => {
+    const isCustomProperty = cssName.indexOf("--") === 0;
+    return dangerousStyleValue(isCustomProperty ? cssName : camelizeStyleName(cssName), value,
+      null, isCustomProperty);
+  },
+  renumberIds: renumberIds,
+  splitIds: splitIds,
+  install: install,
+  uninstall: uninstall,
+  renderToStream: renderToStream
+};
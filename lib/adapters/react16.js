@@ -0,0 +1,208 @@
+"use strict";
+
+const MemoizedMarkupStream = require("../stream");
+const camelizeStyleName = require("../template").camelizeStyleName;
+const scope = require("../scope");
+const hookRequire = require("./require-hook");
+
+const MIN_MAJOR_VERSION = 16;
+const MAX_MAJOR_VERSION = 17;
+
+const ROOT_ATTRIBUTE = " data-reactroot=\"\"";
+const TEXT_SEPARATOR = "<!-- -->";
+const SERVER_RENDERER_MODULE = /react-dom-server\.node\.(development|production\.min)\.js$/;
+
+/*
+ * React 16/17 adapter. Server rendering goes through the ReactDOMServerRenderer class
+ * (the "partial renderer") which is not exported, so it is reached through the
+ * renderToNodeStream() stream and its render() method is wrapped on the prototype.
+ * A cache miss renders the component subtree with a nested renderer to get its full
+ * markup. Streams read the partial renderer directly so memoized markup is flushed as
+ * soon as it is rendered.
+ */
+
+const ESCAPE_LOOKUP = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  "\"": "&quot;",
+  "'": "&#x27;"
+};
+
+const escapeTextContentForBrowser = (text) => {
+  if (typeof text === "boolean" || typeof text === "number") {
+    return `${text}`;
+  }
+  return `${text}`.replace(/["'&<>]/g, (match) => ESCAPE_LOOKUP[match]);
+};
+
+// The style properties React renders numbers of without a px unit
+const UNITLESS_STYLES = ["animationIterationCount", "borderImageOutset", "borderImageSlice",
+  "borderImageWidth", "boxFlex", "boxFlexGroup", "boxOrdinalGroup", "columnCount", "columns",
+  "flex", "flexGrow", "flexPositive", "flexShrink", "flexNegative", "flexOrder", "gridArea",
+  "gridRow", "gridRowEnd", "gridRowSpan", "gridRowStart", "gridColumn", "gridColumnEnd",
+  "gridColumnSpan", "gridColumnStart", "fontWeight", "lineClamp", "lineHeight", "opacity",
+  "order", "orphans", "tabSize", "widows", "zIndex", "zoom", "fillOpacity", "floodOpacity",
+  "stopOpacity", "strokeDasharray", "strokeDashoffset", "strokeMiterlimit", "strokeOpacity",
+  "strokeWidth"].reduce((unitless, name) => {
+    unitless[name] = true;
+    ["Webkit", "ms", "Moz", "O"].forEach((prefix) => {
+      unitless[prefix + name.charAt(0).toUpperCase() + name.slice(1)] = true;
+    });
+    return unitless;
+  }, {});
+
+const styleValue = (cssName, value) => {
+  if (value === null || value === undefined || typeof value === "boolean" || value === "") {
+    return "";
+  }
+  if (typeof value === "number" && value !== 0 && cssName.indexOf("--") !== 0
+    && !UNITLESS_STYLES[camelizeStyleName(cssName)]) {
+    return `${value}px`;
+  }
+  return `${value}`.trim();
+};
+
+const rendererClasses = new WeakMap();
+
+const getRendererClass = (ReactDOMServer) => {
+  if (rendererClasses.has(ReactDOMServer)) {
+    return rendererClasses.get(ReactDOMServer);
+  }
+  const React = require("react"); // eslint-disable-line global-require
+  const stream = ReactDOMServer.renderToNodeStream(React.createElement("span"));
+  const partialRenderer = stream.partialRenderer;
+  if (partialRenderer.destroy) {
+    partialRenderer.destroy();
+  }
+  rendererClasses.set(ReactDOMServer, partialRenderer.constructor);
+  return partialRenderer.constructor;
+};
+
+// Since 16.6 new context values are stored per renderer "thread", copy the values of
+// the providers that are currently open in the parent so the nested renderer sees them.
+const shareContextValues = (parent, renderer, release) => {
+  if (typeof parent.threadID !== "number" || !parent.contextStack) {
+    return;
+  }
+  for (let i = 0; i <= parent.contextIndex; i++) {
+    const context = parent.contextStack[i];
+    for (let threadID = context._threadCount || 0; threadID <= renderer.threadID; threadID++) {
+      context[threadID] = context._currentValue2;
+      context._threadCount = threadID + 1;
+    }
+    context[renderer.threadID] = release ? context._currentValue2 : context[parent.threadID];
+  }
+};
+
+const renderSubtree = (parent, element, context) => {
+  const renderer = new parent.constructor(element, parent.makeStaticMarkup);
+  renderer.__memoizedElement = element;
+  renderer.stack[0].children = [element];
+  renderer.stack[0].context = context;
+  shareContextValues(parent, renderer, false);
+  try {
+    return renderer.read(Infinity);
+  } finally {
+    shareContextValues(parent, renderer, true);
+    if (renderer.destroy) {
+      renderer.destroy();
+    }
+  }
+};
+
+// Cached markup is stored as rendered at the root, with data-reactroot on its top level
+// elements; text separators depend on the preceding sibling and are never cached.
+const restoreIds = (renderer) => (markup) => {
+  if (!markup) {
+    return markup;
+  }
+  const isRoot = renderer.stack.length === 1 && !renderer.makeStaticMarkup;
+  let out = isRoot ? markup : markup.split(ROOT_ATTRIBUTE).join("");
+  if (renderer.makeStaticMarkup) {
+    return out;
+  }
+  if (renderer.previousWasTextNode && out[0] !== "<") {
+    out = TEXT_SEPARATOR + out;
+  }
+  renderer.previousWasTextNode = out[out.length - 1] !== ">";
+  return out;
+};
+
+// Markup rendered by renderToStaticMarkup has no ids or text separators
+const keepIds = (markup) => markup;
+
+// The renderers patched, one per copy of React loaded, with their original render
+let patched = [];
+let unhook = null;
+
+const patchRenderer = (ReactDOMServer) => {
+  if (!ReactDOMServer || !ReactDOMServer.renderToNodeStream) {
+    return;
+  }
+  const proto = getRendererClass(ReactDOMServer).prototype;
+  if (patched.some((renderer) => renderer.proto === proto)) {
+    return;
+  }
+  const render = proto.render;
+
+  proto.render = function (child, context) {
+    const optimizer = scope.current();
+    if (!optimizer || !optimizer.enabled || this.__memoizedElement === child
+      || !optimizer.shouldComponentBeCached(child)) {
+      return render.apply(this, arguments);
+    }
+    const markup = optimizer.renderComponent(child,
+      (element, subtreeContext) => renderSubtree(this, element || child,
+        subtreeContext || context), null, this.makeStaticMarkup ? keepIds : restoreIds(this),
+      context, this.makeStaticMarkup);
+    this.__flushMarkup = true;
+    return markup;
+  };
+  patched.push({proto: proto, render: render, patched: proto.render});
+};
+
+const install = () => {
+  if (!unhook) {
+    unhook = hookRequire((path, m) => {
+      if (path === "react-dom/server" || SERVER_RENDERER_MODULE.test(path)) {
+        patchRenderer(m);
+      }
+      return m;
+    });
+  }
+
+  require("react-dom/server"); // eslint-disable-line global-require
+};
+
+const uninstall = () => {
+  if (unhook) {
+    unhook();
+    unhook = null;
+  }
+  patched.forEach((renderer) => {
+    if (renderer.proto.render === renderer.patched) {
+      renderer.proto.render = renderer.render;
+    }
+  });
+  patched = [];
+};
+
+const renderToStream = (element, makeStaticMarkup) => {
+  const ReactDOMServer = require("react-dom/server"); // eslint-disable-line global-require
+  const Renderer = getRendererClass(ReactDOMServer);
+  return new MemoizedMarkupStream(new Renderer(element, makeStaticMarkup));
+};
+
+module.exports = {
+  name: "react16",
+  supports: (version) => {
+    const major = parseInt(version, 10);
+    return major >= MIN_MAJOR_VERSION && major <= MAX_MAJOR_VERSION;
+  },
+  escapeTextContentForBrowser: escapeTextContentForBrowser,
+  styleValue: styleValue,
+  install: install,
+  uninstall: uninstall,
+  renderToStream: renderToStream
+};
@@ -0,0 +1,27 @@
+"use strict";
+
+const Module = require("module");
+
+/**
+ * Hooks require() so the modules React loads can be patched or replaced.
+ *
+ * @param {Function} onRequire called with the path and the exports of each required module,
+ * returns the exports handed to the requiring module
+ * @returns {Function} removes the hook, restoring the require() it replaced
+ */
+const hookRequire = (onRequire) => {
+  const previous = Module.prototype.require;
+  Module.prototype.require = function (path) {
+    return onRequire(path, previous.apply(this, arguments));
+  };
+  const hook = Module.prototype.require;
+
+  return () => {
+    // A hook installed after this one would be lost, it is left in place then
+    if (Module.prototype.require === hook) {
+      Module.prototype.require = previous;
+    }
+  };
+};
+
+module.exports = hookRequire;
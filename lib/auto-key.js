@@ -0,0 +1,199 @@
+"use strict";
+
+const isArray = require("lodash/isArray");
+const isPlainObject = require("lodash/isPlainObject");
+
+/*
+ * Auto keys derive the cache key of a component from the props and context values its
+ * render reads. Misses render with proxied props and context that record the paths read,
+ * and the paths read by the first render become the key of the component. A render reads
+ * the same paths as long as the values it read are the same, so an entry is valid for all
+ * the props with the same values at the paths its render read, and the key finds it as
+ * long as those paths are part of the key. Renders reading other paths are not cached.
+ */
+
+// Reads of a value, of the keys of an object and of whether a value is an object or array
+const VALUE = "v";
+const KEYS = "k";
+const SHAPE = "s";
+
+const identities = new WeakMap();
+let lastIdentity = 0;
+
+// Identities are the # outside of the quoted strings of a key
+const IDENTITY = /#/;
+const JSON_STRING = /"(?:[^"\\]|\\.)*"/g;
+
+// Functions and class instances are compared by identity, numbered in the process
+const identityOf = (value) => {
+  if (!identities.has(value)) {
+    identities.set(value, ++lastIdentity);
+  }
+  return `#${identities.get(value)}`;
+};
+
+const isElement = (value) => Boolean(value && value.$$typeof);
+
+const isTracked = (value) => (isPlainObject(value) || isArray(value)) && !isElement(value);
+
+const keyOf = (value) => {
+  if (value === undefined) {
+    return "u";
+  }
+  if (value === null || typeof value !== "object" && typeof value !== "function") {
+    return JSON.stringify(value);
+  }
+  if (value instanceof Date) {
+    return JSON.stringify(value);
+  }
+  if (isElement(value)) {
+    return `<${identityOf(value.type)},${JSON.stringify(value.key)},${keyOf(value.props)}>`;
+  }
+  if (isArray(value)) {
+    return `[${value.map(keyOf).join(",")}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).map((key) =>
+      `${JSON.stringify(key)}:${keyOf(value[key])}`).join(",")}}`;
+  }
+  return identityOf(value);
+};
+
+/**
+ * Wraps plain objects and arrays in proxies recording the paths read in `reads`. The
+ * proxies wrap a copy since React freezes props outside production, and are reused so
+ * reading a value twice returns the same proxy.
+ *
+ * @param {Object} reads receives the paths read by id
+ * @param {Function} ignored tells whether a path is not part of the key
+ * @returns {Function} takes a value and its path and returns the tracked value
+ */
+const tracker = (reads, ignored) => {
+  const proxies = {};
+  const record = (kind, recordedPath) => {
+    if (!ignored(recordedPath)) {
+      reads[JSON.stringify([kind].concat(recordedPath))] = {kind: kind, path: recordedPath};
+    }
+  };
+  const track = (value, path) => {
+    if (!isTracked(value)) {
+      return value;
+    }
+    const id = JSON.stringify(path);
+    if (proxies[id] && proxies[id].value === value) {
+      return proxies[id].proxy;
+    }
+    const copy = isArray(value) ? value.slice() : Object.assign({}, value);
+    const read = (target, name) => {
+      if (typeof name === "symbol") {
+        return target[name];
+      }
+      const propPath = path.concat(name);
+      const propValue = target[name];
+      if (isTracked(propValue)) {
+        record(SHAPE, propPath);
+        return track(propValue, propPath);
+      }
+      record(VALUE, propPath);
+      return propValue;
+    };
+    const proxy = new Proxy(copy, {
+      get: read,
+      has: (target, name) => {
+        read(target, name);
+        return name in target;
+      },
+      ownKeys: (target) => {
+        record(KEYS, path);
+        return Reflect.ownKeys(target);
+      }
+    });
+    proxies[id] = {value: value, proxy: proxy};
+    return proxy;
+  };
+  return track;
+};
+
+const resolve = (root, read) => {
+  let value = root;
+  for (let i = 0; i < read.path.length && value !== null && value !== undefined; i++) {
+    value = value[read.path[i]];
+  }
+  if (read.kind === KEYS) {
+    return value === null || value === undefined ? undefined : Object.keys(value);
+  }
+  if (read.kind === SHAPE && isTracked(value)) {
+    return isArray(value) ? [] : {};
+  }
+  return value;
+};
+
+class AutoKey {
+
+  // ignore: the paths of props (or of `context.` values) left out of the key
+  constructor(ignore) {
+    this.ignore = (ignore || []).map((path) => {
+      return path.indexOf("context.") === 0 ? path.split(".") : ["props"].concat(path.split("."));
+    });
+    this.ignored = (path) => this.ignore.some((ignoredPath) =>
+      ignoredPath.every((segment, i) => String(path[i]) === segment));
+    this.reads = null;
+  }
+
+  /**
+   * @param {Object} props the props of the element
+   * @param {Object} context the legacy context of the element
+   * @returns {string} the cache key, undefined until a render has been tracked
+   */
+  generate(props, context) {
+    if (!this.reads) {
+      return undefined;
+    }
+    const root = {props: props, context: context};
+    return this.ids.map((id) => keyOf(resolve(root, this.reads[id]))).join(",");
+  }
+
+  /**
+   * @param {Object} props the props of the element
+   * @param {Object} context the legacy context of the element
+   * @returns {Object} the tracked `props` and `context`, and the `reads` they record
+   */
+  track(props, context) {
+    const reads = {};
+    const track = tracker(reads, this.ignored);
+    return {
+      props: track(props, ["props"]),
+      context: track(context, ["context"]),
+      reads: reads
+    };
+  }
+
+  /**
+   * Learns the paths read by the first render.
+   *
+   * @param {Object} reads the paths read by a render
+   * @returns {boolean} whether the key covers the paths read, i.e. the markup can be cached
+   */
+  learn(reads) {
+    if (!this.reads) {
+      this.reads = reads;
+      this.ids = Object.keys(reads).sort();
+    }
+    return Object.keys(reads).every((id) => Boolean(this.reads[id]));
+  }
+
+  /**
+   * @param {string} key a key generated by this auto key
+   * @returns {boolean} whether the key holds the identity of functions or class instances,
+   * numbered in this process, i.e. is not valid in other processes
+   */
+  isLocal(key) {
+    return typeof key === "string" && IDENTITY.test(key.replace(JSON_STRING, ""));
+  }
+
+  paths() {
+    return this.ids ? this.ids.map((id) => this.reads[id].path.join(".")) : [];
+  }
+}
+
+module.exports = AutoKey;
@@ -0,0 +1,58 @@
+"use strict";
+
+const fs = require("fs");
+
+/**
+ * In-process stand-in for a shared cache backend, mainly for tests and single host
+ * setups. When a `file` is given the entries are loaded from it on creation and written
+ * back after every change, so they survive restarts.
+ *
+ * @param {Object} options optional settings, `file` is the path of the backing JSON file
+ * @returns {Object} a shared cache backend
+ */
+const createMemoryCache = (options) => {
+  const file = options && options.file;
+  let entries = {};
+  let writing = Promise.resolve();
+
+  if (file && fs.existsSync(file)) {
+    entries = JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  const isLive = (key) => entries.hasOwnProperty(key)
+    && (!entries[key].expires || entries[key].expires > Date.now());
+
+  const persist = () => {
+    if (!file) {
+      return Promise.resolve();
+    }
+    const data = JSON.stringify(entries);
+    writing = writing.then(() => new Promise((resolve, reject) => {
+      fs.writeFile(file, data, (err) => {
+        return err ? reject(err) : resolve();
+      });
+    }));
+    return writing;
+  };
+
+  return {
+    get: (key) => Promise.resolve(isLive(key) ? entries[key].value : undefined),
+    set: (key, value, maxAge) => {
+      const expires = isFinite(maxAge) && maxAge > 0 ? Date.now() + maxAge : 0;
+      entries[key] = {value: value, expires: expires};
+      return persist();
+    },
+    del: (key) => {
+      delete entries[key];
+      return persist();
+    },
+    keys: (prefix) => Promise.resolve(Object.keys(entries)
+      .filter((key) => isLive(key) && (!prefix || key.indexOf(prefix) === 0))),
+    reset: () => {
+      entries = {};
+      return persist();
+    }
+  };
+};
+
+module.exports = createMemoryCache;
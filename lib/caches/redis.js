@@ -0,0 +1,56 @@
+"use strict";
+
+const DEFAULT_KEY_PREFIX = "react-ssr-optimization:";
+const SCAN_COUNT = 1000;
+
+// Escapes the characters SCAN MATCH patterns treat as globs
+const escapeGlob = (text) => text.replace(/[*?[\]\\]/g, "\\$&");
+
+// Sends a raw command with whichever API the client offers: node-redis 4 (sendCommand),
+// ioredis (call) or node_redis 2/3 (send_command with a callback).
+const sendCommand = (client, args) => {
+  if (client.sendCommand) {
+    return client.sendCommand(args.map(String));
+  }
+  if (client.call) {
+    return client.call(...args);
+  }
+  return new Promise((resolve, reject) => {
+    client.send_command(args[0], args.slice(1), (err, reply) => {
+      return err ? reject(err) : resolve(reply);
+    });
+  });
+};
+
+/**
+ * Shared cache backend storing entries in Redis as JSON strings.
+ *
+ * @param {Object} client a connected node-redis or ioredis client
+ * @param {Object} options optional settings, `keyPrefix` namespaces the keys
+ * (defaults to "react-ssr-optimization:")
+ * @returns {Object} a shared cache backend
+ */
+const createRedisCache = (client, options) => {
+  const keyPrefix = (options && options.keyPrefix) || DEFAULT_KEY_PREFIX;
+
+  const scan = (pattern, cursor, found) =>
+    sendCommand(client, ["SCAN", cursor, "MATCH", pattern, "COUNT", SCAN_COUNT])
+      .then((reply) => {
+        const keys = found.concat(reply[1].map((key) => key.slice(keyPrefix.length)));
+        return String(reply[0]) === "0" ? keys : scan(pattern, reply[0], keys);
+      });
+
+  return {
+    get: (key) => sendCommand(client, ["GET", keyPrefix + key])
+      .then((value) => {
+        return value === null || value === undefined ? undefined : JSON.parse(value);
+      }),
+    set: (key, value, maxAge) => sendCommand(client, isFinite(maxAge) && maxAge > 0
+      ? ["SET", keyPrefix + key, JSON.stringify(value), "PX", maxAge]
+      : ["SET", keyPrefix + key, JSON.stringify(value)]),
+    del: (key) => sendCommand(client, ["DEL", keyPrefix + key]),
+    keys: (prefix) => scan(`${escapeGlob(keyPrefix + (prefix || ""))}*`, "0", [])
+  };
+};
+
+module.exports = createRedisCache;
@@ -0,0 +1,71 @@
+"use strict";
+
+const isArray = require("lodash/isArray");
+const pick = require("lodash/pick");
+
+/*
+ * Composed keys add the cache keys of the cached components a component renders to its
+ * own key. The component's render is called on its own to find the cached elements it
+ * returns, without mounting them, so the key of the component is known before it is
+ * looked up.
+ */
+
+// The legacy context a component receives, limited to its contextTypes
+const maskContext = (type, context) => {
+  return type.contextTypes ? pick(context || {}, Object.keys(type.contextTypes)) : {};
+};
+
+/**
+ * Calls the render of a component, without mounting the elements it returns. Classes are
+ * rendered with the state set by their constructor.
+ *
+ * @param {Object} element the element of the component
+ * @param {Object} context the legacy context the element is rendered with
+ * @returns {Object} the `output` of render and the legacy `context` of the elements
+ * returned
+ */
+const renderShallow = (element, context) => {
+  const Type = element.type;
+  if (typeof Type !== "function") {
+    throw new Error("react-ssr-optimization: only classes and functions can compose keys");
+  }
+  const componentContext = maskContext(Type, context);
+  if (!Type.prototype || !Type.prototype.isReactComponent) {
+    const output = Type(element.props, componentContext); // eslint-disable-line new-cap
+    return {output: output, context: context};
+  }
+  const instance = new Type(element.props, componentContext);
+  instance.props = element.props;
+  instance.context = componentContext;
+  const childContext = instance.getChildContext
+    ? Object.assign({}, context, instance.getChildContext()) : context;
+  return {output: instance.render(), context: childContext};
+};
+
+/**
+ * Finds the elements of the cached components in the output of a render. The children of
+ * other elements are searched, the elements their components render are not.
+ *
+ * @param {*} node the output of a render
+ * @param {Function} match returns the match of an element when it is cached
+ * @param {Array} found receives the `element` and the `match` of each cached element
+ * @returns {Array} found
+ */
+const cachedElementsOf = (node, match, found) => {
+  if (isArray(node)) {
+    node.forEach((child) => cachedElementsOf(child, match, found));
+  } else if (node && node.type && node.props) {
+    const matched = typeof node.type !== "string" && match(node);
+    if (matched) {
+      found.push({element: node, match: matched});
+    } else {
+      cachedElementsOf(node.props.children, match, found);
+    }
+  }
+  return found;
+};
+
+module.exports = {
+  renderShallow: renderShallow,
+  cachedElementsOf: cachedElementsOf
+};
@@ -0,0 +1,257 @@
+"use strict";
+
+const isArray = require("lodash/isArray");
+const isRegExp = require("lodash/isRegExp");
+const AutoKey = require("./auto-key");
+const RepeatedSections = require("./repeat");
+const cacheKeys = require("./keys");
+
+/*
+ * The schema of the optimizer config. A schema lists the `type`s of a value, the schemas
+ * of the `properties` of an object, of the `items` of an array and of the `values` of a
+ * map, the `required` properties, whether `additional` properties are expected and a
+ * `check` returning the problem of a value. Options normalized by a previous optimizer
+ * are instances of the classes `accept`ed.
+ */
+
+const MAX_SUGGESTION_DISTANCE = 2;
+
+const STRINGS = {type: ["array"], items: {type: ["string"]}};
+const FUNCTION = {type: ["function"]};
+const BOOLEAN = {type: ["boolean"]};
+
+const notNegative = (value) => {
+  return value >= 0 ? null : "must be a number greater than or equal to 0";
+};
+
+const ratio = (value) => {
+  return value >= 0 && value <= 1 ? null : "must be a number between 0 and 1";
+};
+
+const LIMIT = {type: ["number"], check: notNegative};
+
+const SAMPLER = {
+  type: ["boolean", "object"],
+  properties: {sampleRate: {type: ["number"], check: ratio}}
+};
+
+const COMPONENT_PROPERTIES = {
+  cacheKeyGen: FUNCTION,
+  cacheAttrs: STRINGS,
+  templateAttrs: STRINGS,
+  repeatAttrs: {type: ["array"], accept: RepeatedSections, items: {
+    type: ["string", "object"], required: ["attr"],
+    properties: {attr: {type: ["string"]}, cacheAttrs: STRINGS}
+  }},
+  contextAttrs: STRINGS,
+  maxEntries: LIMIT,
+  maxBytes: LIMIT,
+  maxAge: LIMIT,
+  name: {type: ["string"]},
+  autoKey: {type: ["boolean", "object"], accept: AutoKey, properties: {ignore: STRINGS}},
+  composeKeys: BOOLEAN,
+  cacheTags: FUNCTION,
+  disabled: BOOLEAN,
+  sampleRate: {type: ["number"], check: ratio},
+  shouldCache: FUNCTION
+};
+
+const SCHEMA = {
+  type: ["object"],
+  properties: {
+    components: {
+      type: ["object", "map", "array"],
+      values: {type: ["function", "object"], properties: COMPONENT_PROPERTIES},
+      items: {
+        type: ["object"],
+        properties: Object.assign({
+          type: {type: ["string", "function", "regexp"]},
+          test: FUNCTION
+        }, COMPONENT_PROPERTIES),
+        check: (entry) => {
+          return entry.type || entry.test ? null : "needs a type or a test";
+        }
+      }
+    },
+    lruCacheSettings: {type: ["object"], properties: {
+      max: LIMIT, maxAge: LIMIT, length: FUNCTION, dispose: FUNCTION, stale: BOOLEAN,
+      noDisposeOnSet: BOOLEAN, updateAgeOnGet: BOOLEAN
+    }},
+    cacheImpl: {type: ["object"], required: ["get", "set"], additional: true, properties: {
+      get: FUNCTION, set: FUNCTION, del: FUNCTION, reset: FUNCTION, dump: FUNCTION,
+      forEach: FUNCTION
+    }},
+    sharedCache: {type: ["object"], required: ["get", "set"], additional: true, properties: {
+      get: FUNCTION, set: FUNCTION, del: FUNCTION, keys: FUNCTION, reset: FUNCTION
+    }},
+    snapshotFile: {type: ["string"]},
+    unseenComponentsWarningDelay: {type: ["number", "boolean"], check: (value) => {
+      return value === true ? "must be a number of milliseconds or false" : null;
+    }},
+    hashKeys: {type: ["boolean", "object"], properties: {
+      algorithm: {type: ["string"], check: (value) => {
+        return cacheKeys.isAlgorithm(value) ? null : "is not a hash algorithm supported by crypto";
+      }},
+      maxLength: LIMIT,
+      debug: BOOLEAN
+    }},
+    verify: SAMPLER,
+    verifyHydration: SAMPLER,
+    disabled: BOOLEAN,
+    eventCallback: FUNCTION,
+    collectLoadTimeStats: BOOLEAN,
+    collectStats: BOOLEAN,
+    renderer: {
+      type: ["string", "object"], additional: true,
+      required: ["install"],
+      properties: {
+        name: {type: ["string"]}, escapeTextContentForBrowser: FUNCTION, styleValue: FUNCTION,
+        install: FUNCTION, uninstall: FUNCTION, renderToStream: FUNCTION,
+        renumberIds: FUNCTION, splitIds: FUNCTION
+      },
+      check: (value) => {
+        return typeof value !== "string" || value === "react15" || value === "react16"
+          ? null : "must be \"react15\", \"react16\" or an adapter object";
+      }
+    }
+  }
+};
+
+const typeOf = (value) => {
+  if (isArray(value)) {
+    return "array";
+  }
+  if (isRegExp(value)) {
+    return "regexp";
+  }
+  if (value instanceof Map) {
+    return "map";
+  }
+  return value === null ? "null" : typeof value;
+};
+
+// The Levenshtein distance of two names, ignoring case
+const distance = (a, b) => {
+  a = a.toLowerCase();
+  b = b.toLowerCase();
+  let previous = Array.from({length: b.length + 1}, (value, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = row;
+  }
+  return previous[b.length];
+};
+
+const suggest = (name, names) => {
+  const closest = names
+    .map((candidate) => ({name: candidate, distance: distance(name, candidate)}))
+    .sort((x, y) => x.distance - y.distance)[0];
+  return closest && closest.distance <= MAX_SUGGESTION_DISTANCE
+    ? `, did you mean "${closest.name}"?` : "";
+};
+
+const label = (key) => {
+  if (typeof key === "string") {
+    return key;
+  }
+  return isRegExp(key) ? String(key) : key.displayName || key.name || "component";
+};
+
+// Returns the validation of values, reporting their errors and warnings to report
+const validator = (report) => {
+  let validateValue;
+
+  const checkProperties = (value, schema, path) => {
+    const names = Object.keys(schema.properties || {});
+    (schema.required || []).filter((name) => value[name] === undefined).forEach((name) => {
+      report.errors.push({path: `${path}.${name}`, message: "is required"});
+    });
+    names.filter((name) => value[name] !== undefined).forEach((name) => {
+      validateValue(value[name], schema.properties[name], `${path}.${name}`);
+    });
+    if (!schema.additional) {
+      Object.keys(value).filter((name) => names.indexOf(name) < 0).forEach((name) => {
+        report.warnings.push({path: `${path}.${name}`,
+          message: `is not an option${suggest(name, names)}`});
+      });
+    }
+  };
+
+  validateValue = (value, schema, path) => {
+    const type = typeOf(value);
+    if (schema.accept && value instanceof schema.accept) {
+      return;
+    }
+    if (schema.type.indexOf(type) < 0) {
+      report.errors.push({path: path,
+        message: `must be ${schema.type.join(" or ")}, got ${type}`});
+      return;
+    }
+    const problem = schema.check ? schema.check(value) : null;
+    if (problem) {
+      report.errors.push({path: path, message: problem});
+    } else if (type === "object" && schema.values) {
+      Object.keys(value).forEach((key) => {
+        validateValue(value[key], schema.values, `${path}.${key}`);
+      });
+    } else if (type === "object") {
+      checkProperties(value, schema, path);
+    } else if (type === "array" && schema.items) {
+      value.forEach((item, i) => validateValue(item, schema.items, `${path}[${i}]`));
+    } else if (type === "map") {
+      value.forEach((item, key) => {
+        validateValue(item, schema.values, `${path}.get(${label(key)})`);
+      });
+    }
+  };
+
+  return validateValue;
+};
+
+/**
+ * Validates the config of an optimizer, e.g. in CI. The optimizer throws the errors of
+ * its config and warns about the rest of the problems.
+ *
+ * @param {Object} config the config of an optimizer
+ * @returns {Object} the `errors`, values of the wrong type that would fail or be ignored
+ * while rendering, and the `warnings`, e.g. misspelled options, each with the `path` of
+ * the value in the config and a `message`
+ */
+const validate = (config) => {
+  const report = {errors: [], warnings: []};
+  validator(report)(config, SCHEMA, "config");
+  if (typeOf(config) === "object" && config.components === undefined) {
+    report.warnings.push({path: "config.components", message: "is not set, nothing is cached"});
+  }
+  return report;
+};
+
+/**
+ * Validates the options of a component configured after the optimizer was created.
+ *
+ * @param {string|Function|RegExp|Object} component a key of the components config
+ * @param {Function|Object} options the options of the component
+ * @returns {Object} the `errors` and the `warnings` of the options, see validate
+ */
+const validateComponent = (component, options) => {
+  const report = {errors: [], warnings: []};
+  validator(report)(options, SCHEMA.properties.components.values, label(component));
+  return report;
+};
+
+/**
+ * @param {Array} problems the errors or warnings of a config
+ * @returns {string} the problems, one per line
+ */
+const format = (problems) => problems.map((problem) => `${problem.path} ${problem.message}`)
+  .join("\n");
+
+module.exports = {
+  validate: validate,
+  validateComponent: validateComponent,
+  format: format
+};
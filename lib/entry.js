@@ -0,0 +1,45 @@
+"use strict";
+
+const template = require("./template");
+
+/*
+ * Cache entries hold the markup of a component, the compiled template when the
+ * component has template attributes, the root id the markup was rendered with, the
+ * time they were created, the tags returned by the component's cacheTags along with the
+ * tags of the entries they embed, the keys of the entries they embed, the time it took
+ * to render them, in nanoseconds, and the full key of the entries stored under the hash
+ * of their key in debug mode.
+ * Compiled templates are arrays of markup and slots, stored as they are.
+ */
+
+const serialize = (entry) => ({
+  markup: entry.markup,
+  rootId: entry.rootId,
+  template: entry.compiled || null,
+  createdAt: entry.createdAt,
+  tags: entry.tags,
+  children: entry.children,
+  renderTimeNS: entry.renderTimeNS,
+  fullKey: entry.fullKey
+});
+
+const deserialize = (data) => ({
+  markup: data.markup,
+  compiled: data.template || null,
+  rootId: data.rootId,
+  createdAt: data.createdAt,
+  tags: data.tags,
+  children: data.children,
+  renderTimeNS: data.renderTimeNS,
+  fullKey: data.fullKey
+});
+
+// Entries read from outside the process may have been written by anything
+const isValid = (value) => typeof value.markup === "string"
+  && (value.compiled === null || template.isCompiled(value.compiled));
+
+module.exports = {
+  serialize: serialize,
+  deserialize: deserialize,
+  isValid: isValid
+};
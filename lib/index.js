@@ -1,18 +1,32 @@
 "use strict";
 
+const fs = require("fs");
+const pkg = require("../package.json");
 const get = require("lodash/get");
-const set = require("lodash/set");
-const wrap = require("lodash/wrap");
-const template = require("lodash/template");
-const mapKeys = require("lodash/mapKeys");
-const isArray = require("lodash/isArray");
+const cloneDeep = require("lodash/cloneDeep");
+const toPath = require("lodash/toPath");
+const uniq = require("lodash/uniq");
 const isObject = require("lodash/isObject");
-const isPlainObject = require("lodash/isPlainObject");
-const Module = require("module");
-const InstantiateReactComponent = require("react-dom/lib/instantiateReactComponent");
-const escapeTextContentForBrowser = require("react-dom/lib/escapeTextContentForBrowser");
+const adapters = require("./adapters");
+const SharedCache = require("./shared-cache");
+const snapshot = require("./snapshot");
+const warm = require("./warm");
+const Invalidations = require("./invalidation");
+const CachePartitions = require("./partitions");
+const StatsCollector = require("./stats");
+const verify = require("./verify");
+const template = require("./template");
+const AutoKey = require("./auto-key");
+const RepeatedSections = require("./repeat");
+const compose = require("./compose");
+const cacheKeys = require("./keys");
+const validation = require("./config");
+const scope = require("./scope");
+const renderSummary = require("./summary");
+const ComponentMatcher = require("./matcher");
+const createMemoryCache = require("./caches/memory");
+const createRedisCache = require("./caches/redis");
 
-const require_ = Module.prototype.require;
 const cache = require("lru-cache");
 
 const MILLISECONDS_IN_ONE_SECOND = 1000;
@@ -26,214 +40,1070 @@ const DEFAULT_LRU_CONFIG = {
 
 const EMPTY_ID = -1;
 
+// The markup clients hydrate is cached separately from the markup rendered without ids
+const HYDRATABLE_KEY_SUFFIX = "|hydratable";
+
+const namespacedKey = (cacheKey, staticMarkup) => {
+  return staticMarkup ? cacheKey : `${cacheKey}${HYDRATABLE_KEY_SUFFIX}`;
+};
+// The groups of the renders of components sampled by sampleRate or shouldCache
+const CACHED_GROUP = "cached";
+const CONTROL_GROUP = "control";
+
+const DEFAULT_UNSEEN_WARNING_DELAY = SECONDS_IN_ONE_MINUTE * MILLISECONDS_IN_ONE_SECOND;
+
 const defaultCacheKeyFunction = () => {
   return "_defaultKey";
 };
 
 const genAttrBasedKeyFunction = (attrs) => {
-  return ((props) => {
-    let key = "";
-    attrs.forEach((attr) => {
-      const val = get(props, attr);
-      key += isObject(val) ? JSON.stringify(val) : val;
-    });
-    return key;
-  });
+  return (props) => cacheKeys.serializeAll(attrs.map((attr) => get(props, attr)));
+};
+
+// The keys generated for components that are cached, any other key is not cached
+const KEY_TYPES = ["string", "number", "boolean"];
+
+const isCacheKey = (key) => KEY_TYPES.indexOf(typeof key) > EMPTY_ID;
+
+// Segments the keys of components by the values of the legacy context they depend on
+const genContextBasedKeyFunction = (cacheKeyGen, contextAttrs) => {
+  const contextKeyGen = genAttrBasedKeyFunction(contextAttrs);
+  const keyGen = (props, context) => {
+    const key = cacheKeyGen(props, context);
+    return isCacheKey(key) ? `${key}|${contextKeyGen(context || {})}` : key;
+  };
+  keyGen.contextAttrs = contextAttrs;
+  return keyGen;
+};
+
+const normalizeCacheConfig = (cacheConfig) => {
+  if (cacheConfig instanceof Function) {
+    cacheConfig = {
+      cacheKeyGen: cacheConfig
+    };
+  }
+  if (isObject(cacheConfig) && cacheConfig.autoKey && !(cacheConfig.autoKey instanceof AutoKey)) {
+    const autoKey = cacheConfig.autoKey = new AutoKey((cacheConfig.autoKey.ignore || [])
+      .concat(cacheConfig.templateAttrs || [])
+      .concat((cacheConfig.repeatAttrs || []).map((repeatAttr) => repeatAttr.attr || repeatAttr)));
+    cacheConfig.cacheKeyGen = (props, context) => autoKey.generate(props, context);
+  }
+  if (isObject(cacheConfig) && cacheConfig.repeatAttrs
+    && !(cacheConfig.repeatAttrs instanceof RepeatedSections)) {
+    cacheConfig.repeatAttrs = new RepeatedSections(cacheConfig.repeatAttrs);
+  }
+  if (isObject(cacheConfig) && !cacheConfig.cacheKeyGen) {
+    cacheConfig.cacheKeyGen = cacheConfig.cacheAttrs && cacheConfig.cacheAttrs.length
+      ? genAttrBasedKeyFunction(cacheConfig.cacheAttrs)
+      : defaultCacheKeyFunction;
+  }
+  if (isObject(cacheConfig) && !cacheConfig.autoKey && cacheConfig.contextAttrs
+    && cacheConfig.contextAttrs.length && !cacheConfig.cacheKeyGen.contextAttrs) {
+    cacheConfig.cacheKeyGen = genContextBasedKeyFunction(cacheConfig.cacheKeyGen,
+      cacheConfig.contextAttrs);
+  }
+  return cacheConfig;
+};
+
+// Throws the errors of the validation of a config and warns about its other problems
+const checkConfig = (report) => {
+  if (report.errors.length) {
+    const err = new Error(
+      `react-ssr-optimization: invalid config\n${validation.format(report.errors)}`);
+    err.errors = report.errors;
+    throw err;
+  }
+  if (report.warnings.length) {
+    console.warn(  // eslint-disable-line no-console
+      `react-ssr-optimization: ${validation.format(report.warnings)}`);
+  }
 };
 
 class InstantiateReactComponentOptimizer {
 
   constructor(config) {
-    if (process.env.NODE_ENV !== "production") {
+    if (config !== undefined || process.env.NODE_ENV === "production") {
+      checkConfig(validation.validate(config));
+    }
+    if (process.env.NODE_ENV !== "production" && !(config && config.verify)) {
       console.info(  // eslint-disable-line no-console
-        "Caching is disabled in non-production environments."
+        "Caching is disabled in non-production environments, unless verify is enabled."
       );
     } else {
       this.config = config;
-      this.componentsToCache = config.components ? Object.keys(config.components) : [];
-      this.componentsToCache.forEach((cmpName) => {
-        let cacheConfig = config.components[cmpName];
-        if (cacheConfig instanceof Function) {
-          cacheConfig = config.components[cmpName] = {
-            cacheKeyGen: cacheConfig
-          };
-        }
-        if (isObject(cacheConfig) && !cacheConfig.cacheKeyGen) {
-          cacheConfig.cacheKeyGen = cacheConfig.cacheAttrs && cacheConfig.cacheAttrs.length
-            ? genAttrBasedKeyFunction(cacheConfig.cacheAttrs)
-            : defaultCacheKeyFunction;
-        }
-      }, this);
-      /* eslint-disable no-nested-ternary */
-      this.lruCache = (config.cacheImpl) ? config.cacheImpl :
-        (config.lruCacheSettings) ? cache(config.lruCacheSettings) : cache(DEFAULT_LRU_CONFIG);
+      this.initCache(config);
+      this.initInstrumentation(config);
       this.enabled = !(config.disabled === true);
-      this.eventCallback = config.eventCallback;
-      this.shouldCollectLoadTimeStats = config.collectLoadTimeStats;
-      this.wrapInstantiateReactComponent();
+      this.adapter = adapters.select(config.renderer);
+      scope.add(this);
+      this.adapter.install(this);
+      if (config.snapshotFile) {
+        this.restoreSnapshot(config.snapshotFile);
+      }
     }
   }
 
-  wrapInstantiateReactComponent() {
-    const self = this;
+  initInstrumentation(config) {
+    this.eventCallback = config.eventCallback;
+    this.shouldCollectLoadTimeStats = config.collectLoadTimeStats;
+    this.timeRenders = Boolean(this.shouldCollectLoadTimeStats || this.stats);
+    this.shouldVerify = config.verify ? verify.sampler(config.verify) : null;
+    this.shouldVerifyHydration = config.verifyHydration
+      ? verify.sampler(config.verifyHydration) : null;
+    this.invalidKeys = {};
+  }
 
-    function eventCallback(event) {
-      if (self.eventCallback) {
-        process.nextTick(() => {
-          self.eventCallback(event);
-        });
-      }
+  initCache(config) {
+    this.stats = config.collectStats === false ? null : new StatsCollector();
+    const dispose = (key, value) => this.onDispose(key, value);
+    const lruCacheSettings = config.lruCacheSettings || DEFAULT_LRU_CONFIG;
+    this.lruCache = config.cacheImpl ? config.cacheImpl :
+      cache(Object.assign({}, lruCacheSettings, {
+        dispose: (key, value) => {
+          dispose(key, value);
+          if (lruCacheSettings.dispose) {
+            lruCacheSettings.dispose(key, value);
+          }
+        }
+      }));
+    this.maxAge = lruCacheSettings.maxAge;
+    this.partitions = new CachePartitions(this.lruCache, this.maxAge, dispose);
+    this.matcher = new ComponentMatcher(config.components, normalizeCacheConfig,
+      (cmpName, cacheConfig) => this.partitions.configure(cmpName, cacheConfig));
+    this.entriesStored = 0;
+    this.embedding = [];
+    this.invalidations = new Invalidations(() => this.partitions.longestMaxAge());
+    this.sharedCache = config.sharedCache ? new SharedCache(config.sharedCache,
+      (e) => this.emitEvent(e), `${pkg.version}:${adapters.detectReactVersion()}:`) : null;
+    this.hashKey = config.hashKeys ? cacheKeys.hasher(config.hashKeys) : null;
+    this.debugKeys = Boolean(this.hashKey && config.hashKeys.debug);
+  }
+
+  // Events emitted while rendering with a render context carry it
+  emitEvent(event) {
+    const request = scope.request();
+    if (request) {
+      event.renderContext = request.context;
     }
+    if (this.eventCallback) {
+      process.nextTick(() => {
+        this.eventCallback(event);
+      });
+    }
+  }
 
-    /* eslint-disable max-params, no-console, prefer-template*/
+  shouldComponentBeCached(curEl) {
+    if (!this.unseenCheck) {
+      this.scheduleUnseenCheck();
+    }
+    return Boolean(this.matcher.match(curEl));
+  }
 
-    const restoreAttr = (origProps, lookupPropTable, propKey, arrNotaKey, propValue) => {
-      if (isPlainObject(propValue)) {
-        mapKeys(propValue, (value, key) => {
-          restoreAttr(origProps, lookupPropTable, `${propKey}.${key}`,
-           `${propKey}["${key}"]`, value);
-        });
-      } else if (isArray(propValue)) {
-        for (let i = 0; i < propValue.length; i++) {
-          restoreAttr(origProps, lookupPropTable, `${propKey}.${i}`, `${propKey}[${i}]`,
-            propValue[i]);
-        }
-      } else {
-        const _attrKey = propKey.replace(/_/gi, "__").replace(/\./gi, "_");
-        set(origProps, arrNotaKey, lookupPropTable[_attrKey]);
+  // Warns about the configured components that were not rendered some time after the first
+  // render, e.g. names mangled by a minifier
+  scheduleUnseenCheck() {
+    const delay = this.config.unseenComponentsWarningDelay;
+    if (delay === false) {
+      this.unseenCheck = true;
+      return;
+    }
+    this.unseenCheck = setTimeout(() => {
+      const unseen = this.unseenComponents();
+      if (unseen.length) {
+        console.warn(  // eslint-disable-line no-console
+          `Components configured to be cached were not rendered: ${unseen.join(", ")}`);
+        this.emitEvent({type: "config", event: "unseen", cmpNames: unseen});
       }
+    }, delay === undefined ? DEFAULT_UNSEEN_WARNING_DELAY : delay);
+    if (this.unseenCheck.unref) {
+      this.unseenCheck.unref();
+    }
+  }
+
+  /**
+   * @returns {Array} the names, regular expressions and predicates of the components
+   * config that did not match any component rendered so far
+   */
+  unseenComponents() {
+    return this.matcher.unseen();
+  }
+
+  /**
+   * Produces the markup of a cached component, either from the cache or by mounting it.
+   * Renderer adapters call this for every element that `shouldComponentBeCached` accepts.
+   *
+   * @param {Object} curEl the element being rendered
+   * @param {Function} mount renders the element and returns its markup, optionally taking
+   * an element and a legacy context to render instead of the current ones
+   * @param {*} rootID the renderer specific id of the element at its current position
+   * @param {Function} restoreIds takes markup, the rootID it was generated with and the
+   * segments the adapter's splitIds split it into, if any, and returns it rewritten for the
+   * current position
+   * @param {Object} context the legacy context the element is rendered with
+   * @param {boolean} staticMarkup whether the element is rendered without ids, by
+   * renderToStaticMarkup
+   * @returns {string} the markup for the element
+   */
+  /* eslint-disable max-params, max-statements */
+  renderComponent(curEl, mount, rootID, restoreIds, context, staticMarkup) {
+    const match = this.matcher.match(curEl);
+    const cmpName = match.cmpName;
+    const cacheConfig = match.options;
+    if (this.groupOf(cacheConfig, curEl.props, context) === CONTROL_GROUP) {
+      return this.renderControl(cmpName, mount, rootID, restoreIds);
+    }
+    const generatedKey = this.generateKey(match, curEl.props, context);
+    const composed = this.composeKey(match, curEl, context, generatedKey);
+    if (generatedKey === null || composed === null) {
+      this.recordBypass(cmpName);
+      return restoreIds(mount(), rootID);
+    }
+    const tags = this.tagsOf(cacheConfig, curEl.props);
+    const templated = {slots: [], lists: {}, first: this.nextSlot()};
+    const baseKey = this.templatize(cmpName, generatedKey, curEl.props, templated);
+    const cacheKey = namespacedKey(`${baseKey}${composed.key}`, staticMarkup);
+    const cachedObj = this.partitions.get(cacheKey);
+    const cached = cachedObj && !this.isStale(cmpName, cacheKey, baseKey, cachedObj)
+      && !this.collides(cmpName, cacheKey, cachedObj, templated);
+    if (cached && template.covers(cachedObj.compiled, templated.lists)) {
+      this.embed(cacheKey, cachedObj);
+      return this.verifyHit(cmpName, cacheKey, mount,
+        this.renderCachedEntry(curEl, cmpName, cachedObj, templated, restoreIds));
+    }
+
+    const markUpGenerateStartTime = this.timeRenders ? process.hrtime() : 0;
+    const mounted = this.mountEntry(cmpName, curEl, mount, context, generatedKey, templated);
+    const entry = this.embeddingEntry(mounted, tags);
+    this.embed(cacheKey, entry);
+    const markup = mounted.markup;
+    const compiledMarkup = templated.slots.length ? template.compile(markup, (slot) => {
+      return templated.slots[slot] ? {path: templated.slots[slot].path} : null;
+    }, templated.first) : null;
+    const loadTimeNS = markUpGenerateStartTime ?
+      StatsCollector.toNanoseconds(process.hrtime(markUpGenerateStartTime)) : undefined;
+    this.recordMiss(cmpName, loadTimeNS);
+    const storedMarkup = this.compileRepeated(cmpName, markup, compiledMarkup, templated,
+      cached ? cachedObj.compiled : null);
+    if (mounted.cacheable && storedMarkup !== false) {
+      this.storeEntry(cacheKey, Object.assign(entry, {
+        markup: markup, compiled: storedMarkup, rootId: rootID, createdAt: Date.now(),
+        renderTimeNS: loadTimeNS, fullKey: templated.fullKey,
+        local: composed.local
+      }), baseKey);
+    }
+    return restoreIds(compiledMarkup ? this.restoreTemplate(compiledMarkup, templated, curEl)
+      : markup, rootID);
+  }
+  /* eslint-enable max-params, max-statements */
+
+  // Composed keys are stale when the key they are composed from is invalidated too
+  isStale(cmpName, cacheKey, baseKey, cachedObj) { // eslint-disable-line max-params
+    return this.invalidations.isStale(cmpName, cacheKey, cachedObj)
+      || cacheKey !== baseKey && this.invalidations.isStale(cmpName, baseKey, cachedObj);
+  }
+
+  // In debug mode, hashed keys collide when the entry found was stored for another full
+  // key, the entry is then rendered again and replaced
+  collides(cmpName, cacheKey, cachedObj, templated) { // eslint-disable-line max-params
+    if (!cachedObj.fullKey || !templated.fullKey || cachedObj.fullKey === templated.fullKey) {
+      return false;
+    }
+    this.emitEvent({type: "key", event: "collision", cmpName: cmpName, cacheKey: cacheKey,
+      keys: [cachedObj.fullKey, templated.fullKey]});
+    return true;
+  }
+
+  // Auto keyed components render with tracked props and context to learn the paths their
+  // key is made of, or to check the key covers the paths read before caching the markup
+  mountEntry(cmpName, curEl, mount, context, // eslint-disable-line max-params
+      generatedKey, templated) {
+    const autoKey = this.matcher.configs[cmpName].autoKey;
+    const nextSlot = templated.first + templated.slots.length;
+    if (!autoKey) {
+      return Object.assign(this.collectEmbedded(mount, nextSlot), {cacheable: true});
+    }
+    const tracked = autoKey.track(curEl.props, context);
+    const mounted = this.collectEmbedded(() => {
+      return mount(Object.create(curEl, {props: {value: tracked.props}}), tracked.context);
+    }, nextSlot);
+    const covered = autoKey.learn(tracked.reads);
+    if (generatedKey === undefined) {
+      this.emitEvent({type: "autoKey", event: "learned", cmpName: cmpName,
+        paths: autoKey.paths()});
+    } else if (!covered) {
+      this.emitEvent({type: "autoKey", event: "diverged", cmpName: cmpName,
+        paths: Object.keys(tracked.reads).map((id) => tracked.reads[id].path.join("."))});
+    }
+    return Object.assign(mounted, {cacheable: generatedKey !== undefined && covered});
+  }
+
+  // Renders markup, collecting the keys and tags of the cached entries it embeds. The
+  // entries of cached components are embedded in the markup of their nearest cached
+  // ancestor, with the entries they embed themselves. The template slots of the cached
+  // components it renders are numbered from nextSlot.
+  collectEmbedded(render, nextSlot) {
+    const frame = {children: [], tags: [], nextSlot: nextSlot === undefined ? this.nextSlot()
+      : nextSlot};
+    this.embedding.push(frame);
+    try {
+      return {markup: render(), children: uniq(frame.children), tags: uniq(frame.tags)};
+    } finally {
+      this.embedding.pop();
+    }
+  }
+
+  nextSlot() {
+    return this.embedding.length ? this.embedding[this.embedding.length - 1].nextSlot : 0;
+  }
+
+  embed(cacheKey, entry) {
+    const frame = this.embedding[this.embedding.length - 1];
+    if (frame) {
+      frame.children.push(cacheKey, ...entry.children || []);
+      frame.tags.push(...entry.tags || []);
+    }
+  }
+
+  tagsOf(cacheConfig, props) {
+    return cacheConfig.cacheTags ? cacheConfig.cacheTags(props) : undefined;
+  }
+
+  // The embedded entries of a miss and its tags, along with the ones of these entries
+  embeddingEntry(mounted, tags) {
+    const allTags = (tags || []).concat(mounted.tags);
+    return {
+      children: mounted.children.length ? mounted.children : undefined,
+      tags: tags || allTags.length ? uniq(allTags) : undefined
     };
+  }
 
-    const templatizeAttr = (origProps, lookupPropTable, propKey, arrNotaKey,
-     propValue, addlCacheForArr) => {
-      if (isPlainObject(propValue)) {
-        mapKeys(propValue, (value, key) => {
-          templatizeAttr(origProps, lookupPropTable, `${propKey}.${key}`, `${propKey}["${key}"]`,
-           value, addlCacheForArr);
+  // Components with composeKeys add the cache keys of the cached components their render
+  // returns to their own, so their entries change along with the ones they embed. Returns
+  // the composed `key`, "" for other components, and whether the key of the component
+  // or of its children is `local`, or null when a key cannot be composed.
+  composeKey(match, curEl, context, generatedKey) { // eslint-disable-line max-params
+    const cmpName = match.cmpName;
+    const local = this.isLocalKey(match, generatedKey);
+    if (!match.options.composeKeys || generatedKey === null || generatedKey === undefined) {
+      return {key: "", local: local};
+    }
+    try {
+      const rendered = compose.renderShallow(curEl, context);
+      const children = compose.cachedElementsOf(rendered.output,
+        (element) => this.matcher.match(element), []).map((found) => {
+          return this.keyOf(found.match, found.element, rendered.context);
         });
-      } else if (isArray(propValue)) {
-        addlCacheForArr.push(propKey + "_" + propValue.length);
-        for (let i = 0; i < propValue.length; i++) {
-          templatizeAttr(origProps, lookupPropTable, `${propKey}.${i}`, `${propKey}[${i}]`,
-            propValue[i], addlCacheForArr);
-        }
-      } else {
-        const _attrKey = propKey.replace(/_/gi, "__").replace(/\./gi, "_");
-        lookupPropTable[_attrKey] = escapeTextContentForBrowser(propValue);
-        set(origProps, arrNotaKey, "${" + _attrKey + "}");
-      }
-    };
+      return children.indexOf(null) > EMPTY_ID ? null : {
+        key: `[${children.map((child) => child.key).join(",")}]`,
+        local: local || children.some((child) => child.local)
+      };
+    } catch (err) {
+      this.emitEvent({type: "compose", event: "error", cmpName: cmpName, error: err});
+      return null;
+    }
+  }
 
-    const restorePropsAndProcessTemplate = (compiled, templateAttrs, templateAttrValues, curEl) => {
-      templateAttrs.forEach((attrKey) => {
-        const value = get(curEl.props, attrKey);
-        restoreAttr({a: curEl.props}, templateAttrValues, `a.${attrKey}`, `a.${attrKey}`,
-         value);
-      });
-      return compiled(templateAttrValues);
-    };
-    /* eslint-enable max-params, no-console*/
+  // The key generated for the props of a component, null when it is not cached. Keys that
+  // are not strings or numbers, e.g. objects that would all be cached as one entry, are
+  // reported once and not cached. Auto keys are undefined until they are learned.
+  generateKey(match, props, context) {
+    const cmpName = match.cmpName;
+    const key = match.options.cacheKeyGen(props, context);
+    if (key === null || key === undefined || isCacheKey(key)) {
+      return key;
+    }
+    if (!this.invalidKeys[cmpName]) {
+      this.invalidKeys[cmpName] = true;
+      console.warn(  // eslint-disable-line no-console
+        `react-ssr-optimization: the cacheKeyGen of ${cmpName} returned ${typeof key}, ` +
+        "a string or a number is expected, the component is not cached");
+      this.emitEvent({type: "config", event: "invalidKey", cmpName: cmpName, key: key});
+    }
+    return null;
+  }
 
-    const shouldComponentBeCached = function (curEl) {
-      return curEl && curEl.type &&
-        (self.componentsToCache.indexOf(curEl.type.displayName) > EMPTY_ID ||
-        self.componentsToCache.indexOf(curEl.type.name) > EMPTY_ID);
-    };
+  // The cache `key` an element renders with and whether it is `local`, null when it is
+  // not cached
+  keyOf(match, element, context) {
+    const generatedKey = this.generateKey(match, element.props, context);
+    const composed = this.composeKey(match, element, context, generatedKey);
+    if (generatedKey === null || generatedKey === undefined || composed === null) {
+      return null;
+    }
+    const baseKey = this.templatize(match.cmpName, generatedKey, cloneDeep(element.props),
+      {slots: [], lists: {}});
+    return {key: `${baseKey}${composed.key}`, local: composed.local};
+  }
 
-    const WrappedInstantiateReactComponent = wrap(InstantiateReactComponent,
-      function (instantiate) {
-        const component = instantiate.apply(
-          instantiate, [].slice.call(arguments, 1));
-        if (component._instantiateReactComponent
-          && (!component._instantiateReactComponent.__wrapped)) {
-          component._instantiateReactComponent = WrappedInstantiateReactComponent;
-        }
-        if (self.enabled) {
-          const curEl = component._currentElement;
-          if (shouldComponentBeCached(curEl)) {
-            /* eslint-disable max-statements */
-            component.mountComponent = wrap(
-              component.mountComponent,
-              function (mount) {
-                const cmpName = (curEl.type.displayName || curEl.type.name);
-                const generatedKey = self.config.components[cmpName].cacheKeyGen(curEl.props);
-                if (generatedKey === null) {
-                  return mount.apply(component, [].slice.call(arguments, 1));
-                }
-                const addlCacheForArr = [];
-                const rootID = arguments[1];
-                const templateAttrs = self.config.components[cmpName].templateAttrs || [];
-                const templateAttrValues = {};
-                templateAttrs.forEach((attrKey) => {
-                  const value = get(curEl.props, attrKey);
-                  templatizeAttr({a: curEl.props}, templateAttrValues, `a.${attrKey}`,
-                   `a.${attrKey}`, value, addlCacheForArr);
-                });
-                const cacheKey = `${cmpName}:${generatedKey}:${addlCacheForArr}`;
-                const cachedObj = self.lruCache.get(cacheKey);
-                if (cachedObj) {
-                  eventCallback({type: "cache", event: "hit", cmpName: cmpName});
-                  const cacheMarkup = templateAttrs.length ?
-                    restorePropsAndProcessTemplate(cachedObj.compiled, templateAttrs,
-                      templateAttrValues, curEl)
-                    : cachedObj.markup;
-                  /* eslint-disable quotes */
-                  return cacheMarkup.replace(
-                    new RegExp(`data-reactid="${cachedObj.rootId}`, "g"),
-                    `data-reactid="${rootID}`);
-                }
-
-                const markUpGenerateStartTime = self.shouldCollectLoadTimeStats ?
-                  process.hrtime() : 0;
-                const markup = mount.apply(component, [].slice.call(arguments, 1));
-                const compiledMarkup = templateAttrs.length ? template(markup) : null;
-                const markUpGenerateEndTime = self.shouldCollectLoadTimeStats ?
-                  process.hrtime(markUpGenerateStartTime) : 0;
-                eventCallback({type: "cache", event: "miss", cmpName: cmpName,
-                  loadTimeNS: (markUpGenerateEndTime[1])});
-                self.lruCache.set(cacheKey, {
-                  markup: markup, compiled: compiledMarkup, rootId: rootID
-                });
-                return templateAttrs.length ? restorePropsAndProcessTemplate(
-                  compiledMarkup, templateAttrs, templateAttrValues, curEl)
-                  : markup;
-              });
-
-            /* eslint-enable max-statements */
-          }
-        }
-        return component;
-      }
-    );
+  // Auto keys holding the identity of functions or class instances, e.g. the type of an
+  // element, are only valid in this process: their entries are not shared or saved
+  isLocalKey(match, generatedKey) {
+    return Boolean(match.options.autoKey) && match.options.autoKey.isLocal(generatedKey);
+  }
 
-    WrappedInstantiateReactComponent.__wrapped = true;
+  isSampled(cacheConfig) {
+    return cacheConfig.sampleRate !== undefined || Boolean(cacheConfig.shouldCache);
+  }
 
-    Module.prototype.require = function (path) {
-      const m = require_.apply(this, arguments);
+  // The group of a render of a component sampled by sampleRate or shouldCache, undefined
+  // for the components that are not sampled
+  groupOf(cacheConfig, props, context) {
+    if (!this.isSampled(cacheConfig)) {
+      return undefined;
+    }
+    const sampled = (cacheConfig.sampleRate === undefined || Math.random() < cacheConfig.sampleRate)
+      && (!cacheConfig.shouldCache || this.shouldCache(cacheConfig, props, context));
+    return sampled ? CACHED_GROUP : CONTROL_GROUP;
+  }
+
+  // Called as shouldCache(props, requestContext, context), requestContext being the render
+  // context of renderWithContext
+  shouldCache(cacheConfig, props, context) {
+    const request = scope.request();
+    return Boolean(cacheConfig.shouldCache(props, request ? request.context : undefined, context));
+  }
 
-      if (path === "./instantiateReactComponent") {
-        return WrappedInstantiateReactComponent;
+  // Renders of the control group are not cached, they are timed like misses to compare
+  // them with the renders of the cached group
+  renderControl(cmpName, mount, rootID, restoreIds) { // eslint-disable-line max-params
+    const startTime = this.timeRenders ? process.hrtime() : 0;
+    const markup = restoreIds(mount(), rootID);
+    const loadTimeNS = startTime
+      ? StatsCollector.toNanoseconds(process.hrtime(startTime)) : undefined;
+    if (this.stats) {
+      this.stats.control(cmpName, loadTimeNS);
+    }
+    this.summarize(cmpName, {outcome: "controls", controlRenderTimeNS: loadTimeNS});
+    this.emitEvent({type: "cache", event: "control", cmpName: cmpName, group: CONTROL_GROUP,
+      loadTimeNS: this.shouldCollectLoadTimeStats ? loadTimeNS : undefined});
+    return markup;
+  }
+
+  // Hits and misses of sampled components are tagged with the cached group
+  groupEvent(event) {
+    const cacheConfig = this.matcher.configs[event.cmpName];
+    if (cacheConfig && this.isSampled(cacheConfig)) {
+      event.group = CACHED_GROUP;
+    }
+    return event;
+  }
+
+  // Adds a render to the summary of the request in progress
+  summarize(cmpName, render) {
+    const request = scope.request();
+    if (request) {
+      renderSummary.add(request.summary, cmpName, render);
+    }
+  }
+
+  recordBypass(cmpName) {
+    if (this.stats) {
+      this.stats.bypass(cmpName);
+    }
+    this.summarize(cmpName, {outcome: "bypasses"});
+  }
+
+  recordMiss(cmpName, loadTimeNS) {
+    if (this.stats) {
+      this.stats.miss(cmpName, loadTimeNS);
+    }
+    this.summarize(cmpName, {outcome: "misses", renderTimeNS: loadTimeNS});
+    this.emitEvent(this.groupEvent({type: "cache", event: "miss", cmpName: cmpName,
+      loadTimeNS: this.shouldCollectLoadTimeStats ? loadTimeNS : undefined}));
+  }
+
+  // Restores the templates and ids of a cached entry. The time it takes is compared to
+  // the time the entry took to render to estimate the time saved by the hit.
+  renderCachedEntry(curEl, cmpName, cachedObj, templated, // eslint-disable-line max-params
+      restoreIds) {
+    const startTime = this.timeRenders ? process.hrtime() : 0;
+    const markup = cachedObj.compiled
+      ? restoreIds(this.restoreTemplate(cachedObj.compiled, templated, curEl), cachedObj.rootId)
+      : restoreIds(cachedObj.markup, cachedObj.rootId, cachedObj.segments);
+    this.recordHit(cmpName, cachedObj, markup, startTime);
+    return markup;
+  }
+
+  recordHit(cmpName, cachedObj, markup, startTime) { // eslint-disable-line max-params
+    const event = this.groupEvent({type: "cache", event: "hit", cmpName: cmpName});
+    const hit = {outcome: "hits", bytesFromCache: scope.request() ? Buffer.byteLength(markup) : 0};
+    if (startTime) {
+      const loadTimeNS = StatsCollector.toNanoseconds(process.hrtime(startTime));
+      const savedTimeNS = typeof cachedObj.renderTimeNS === "number" ?
+        Math.max(0, cachedObj.renderTimeNS - loadTimeNS) : undefined;
+      if (this.stats) {
+        this.stats.hit(cmpName, loadTimeNS, savedTimeNS);
+      }
+      if (this.shouldCollectLoadTimeStats) {
+        event.loadTimeNS = loadTimeNS;
+        event.savedTimeNS = savedTimeNS;
+      }
+      Object.assign(hit, {templateRenderTimeNS: loadTimeNS, savedTimeNS: savedTimeNS});
+    }
+    this.summarize(cmpName, hit);
+    this.emitEvent(event);
+  }
+
+  // In verify mode, renders a sample of the hits and reports the ones that do not match
+  verifyHit(cmpName, cacheKey, mount, cachedMarkup) { // eslint-disable-line max-params
+    if (this.shouldVerify && this.shouldVerify()) {
+      const difference = verify.diff(this.collectEmbedded(mount).markup, cachedMarkup);
+      if (difference) {
+        this.emitEvent({type: "verify", event: "mismatch", cmpName: cmpName, cacheKey: cacheKey,
+          diff: difference});
       }
+    }
+    return cachedMarkup;
+  }
 
-      return m;
+  /**
+   * Renders an element to a string with the cache and without it, and compares the markup,
+   * ids and checksum included, to tell whether the client would reuse the markup when
+   * hydrating it.
+   *
+   * @param {Object} element the React element of the page
+   * @returns {Object} the `markup` rendered with the cache, the `reference` markup rendered
+   * without it, their `checksum`s, null for React 16+, and the `diff` of the markups, null
+   * when they are the same
+   */
+  verifyHydration(element) {
+    const ReactDOMServer = require("react-dom/server"); // eslint-disable-line global-require
+    const markup = scope.run(this, () => ReactDOMServer.renderToString(element));
+    const enabled = this.enabled;
+    let reference;
+    this.enabled = false;
+    try {
+      reference = scope.run(this, () => ReactDOMServer.renderToString(element));
+    } finally {
+      this.enabled = enabled;
+    }
+    return {
+      markup: markup,
+      reference: reference,
+      checksum: {cached: verify.checksumOf(markup), reference: verify.checksumOf(reference)},
+      diff: verify.compare(reference, markup)
     };
   }
 
+  /**
+   * Renders an element to a string, like ReactDOMServer's renderToString. With the
+   * verifyHydration option, a sample of the pages are compared to the page rendered
+   * without the cache, see verifyHydration, and mismatches are reported to the
+   * eventCallback.
+   *
+   * @param {Object} element the React element of the page
+   * @returns {string} the markup rendered with the cache
+   */
+  renderToString(element) {
+    if (!this.shouldVerifyHydration || !this.shouldVerifyHydration()) {
+      const ReactDOMServer = require("react-dom/server"); // eslint-disable-line global-require
+      return scope.run(this, () => ReactDOMServer.renderToString(element));
+    }
+    const verified = this.verifyHydration(element);
+    if (verified.diff) {
+      this.emitEvent({type: "hydration", event: "mismatch", checksum: verified.checksum,
+        diff: verified.diff});
+    }
+    return verified.markup;
+  }
+
+  /**
+   * Renders with a render context, e.g. the id, route and user segment of a request. The
+   * context is added to the events emitted while rendering, as `renderContext`, and
+   * passed to the shouldCache functions of components.
+   *
+   * @param {Object} renderContext the render context
+   * @param {Function} render the function rendering, e.g. calling ReactDOMServer
+   * @returns {Object} the `result` returned by render and the `summary` of the cached
+   * components rendered: their `hits`, `misses`, `bypasses` and `controls`, in total and
+   * per name in `components`, the `bytesFromCache` of the hits and the `renderTimeNS`,
+   * `templateRenderTimeNS`, `savedTimeNS` and `controlRenderTimeNS`. The summary of the
+   * streams created by render is complete when they end.
+   */
+  renderWithContext(renderContext, render) {
+    const request = {context: renderContext, summary: renderSummary.create(renderContext)};
+    return {result: scope.run(this, render, request), summary: request.summary};
+  }
+
+  /**
+   * Replaces the template attributes of props with template tokens, collecting their
+   * values in slots, and returns the cache key for the props.
+   *
+   * @param {string} cmpName the name of the component
+   * @param {string} generatedKey the key returned by the component's cacheKeyGen
+   * @param {Object} props the props, modified in place
+   * @param {Object} templated receives the `slots` with the path and the value of each
+   * token, the `lists` of the repeated sections and, in debug mode, the `fullKey` of the
+   * keys shortened to their hash
+   * @returns {string} the cache key
+   */
+  templatize(cmpName, generatedKey, props, templated) { // eslint-disable-line max-params
+    const addlCacheForArr = [];
+    const cacheConfig = this.matcher.configs[cmpName];
+    (cacheConfig.templateAttrs || []).forEach((attrKey) => {
+      template.templatize(props, toPath(attrKey), get(props, attrKey),
+        {slots: templated.slots, arrays: addlCacheForArr, first: templated.first});
+    });
+    if (cacheConfig.repeatAttrs) {
+      cacheConfig.repeatAttrs.templatize(props, templated, addlCacheForArr);
+    }
+    const key = `${generatedKey}:${addlCacheForArr}`;
+    const hashed = this.hashKey ? this.hashKey(key) : key;
+    if (this.debugKeys && hashed !== key) {
+      templated.fullKey = `${cmpName}:${key}`;
+    }
+    return `${cmpName}:${hashed}`;
+  }
+
+  // Restores the template attributes of props and renders the compiled markup with their
+  // values, escaped for the context of each slot
+  restoreTemplate(compiled, templated, curEl) {
+    template.restore(curEl.props, templated.slots);
+    return template.render(compiled, curEl.props, this.adapter, templated.lists);
+  }
+
+  // The markup stored for a miss rendering repeated sections holds the templates of their
+  // items, along with the ones of the entry it replaces. False when the items could not be
+  // told apart, the sections then fall back to an entry for each length.
+  compileRepeated(cmpName, markup, compiled, templated, // eslint-disable-line max-params
+      previous) {
+    const attrs = Object.keys(templated.lists);
+    if (!attrs.length) {
+      return compiled;
+    }
+    const repeatAttrs = this.matcher.configs[cmpName].repeatAttrs;
+    const repeated = repeatAttrs.compile(markup, templated, this.adapter);
+    if (!repeated) {
+      this.emitEvent({type: "template", event: "unrepeatable", cmpName: cmpName, attrs: attrs});
+      return false;
+    }
+    return previous ? repeatAttrs.merge(repeated, previous) : repeated;
+  }
+
+  // Adds an entry to the local cache, keeping track of the markup bytes stored by the
+  // caches reporting the entries they remove, i.e. not by a custom cacheImpl. The markup
+  // of entries without templates is split around its ids once, hits then join the
+  // segments with the ids of their position.
+  putEntry(cacheKey, entry, maxAge) {
+    if (!entry.compiled && this.adapter.splitIds && cacheKey.endsWith(HYDRATABLE_KEY_SUFFIX)) {
+      entry.segments = this.adapter.splitIds(entry.markup, entry.rootId);
+    }
+    const cmpName = CachePartitions.componentOfKey(cacheKey);
+    if (this.stats && !(this.config.cacheImpl
+      && this.partitions.cacheFor(cmpName) === this.lruCache)) {
+      this.stats.stored(cmpName, Buffer.byteLength(entry.markup));
+    }
+    this.storingKey = cacheKey;
+    try {
+      this.partitions.set(cacheKey, entry, maxAge);
+    } finally {
+      this.storingKey = null;
+    }
+  }
+
+  // Called by the LRU caches when an entry is removed, replaced, evicted or expired
+  onDispose(cacheKey, entry) {
+    if (this.stats && entry) {
+      const evicted = !this.removingEntries && cacheKey !== this.storingKey;
+      this.stats.removed(CachePartitions.componentOfKey(cacheKey),
+        Buffer.byteLength(entry.markup || ""), evicted);
+    }
+  }
+
+  // baseKey: the key of the entry before it is composed with its children and namespaced
+  storeEntry(cacheKey, entry, baseKey) {
+    this.putEntry(cacheKey, entry);
+    this.invalidations.stored(cacheKey);
+    this.entriesStored++;
+    if (this.sharedCache && !entry.local) {
+      this.sharedCache.storeMissing(cacheKey, entry,
+        this.partitions.maxAgeFor(CachePartitions.componentOfKey(cacheKey)), baseKey)
+        .then((shared) => {
+          if (shared && this.partitions.get(cacheKey) === entry) {
+            this.putEntry(cacheKey, shared);
+          }
+        }).catch((err) => {
+          this.emitEvent({type: "sharedCache", event: "error", action: "store", key: cacheKey,
+            error: err});
+        });
+    }
+  }
+
   enable(enableFlag) {
     this.enabled = enableFlag;
   }
 
-  cacheDump() {
-    return this.lruCache.dump();
+  /**
+   * Caches a component from the next render on, or changes the options it is cached with.
+   * The entries of the component, and the entries embedding them, are invalidated.
+   *
+   * @param {string|Function|RegExp} component the name or the type of the component, or a
+   * regular expression tested against the names of components, like the keys of
+   * `components`
+   * @param {Function|Object} options the options of the component, like the values of
+   * `components`
+   * @returns {number} the number of entries deleted from the cache
+   */
+  configureComponent(component, options) {
+    checkConfig(validation.validateComponent(component, options));
+    const deleted = this.invalidateComponents(component);
+    this.matcher.set(component, options);
+    return deleted;
+  }
+
+  /**
+   * Stops caching a component from the next render on. The entries of the component, and
+   * the entries embedding them, are invalidated.
+   *
+   * @param {string|Function|RegExp} component a key of `components`
+   * @returns {number} the number of entries deleted from the cache
+   */
+  removeComponent(component) {
+    const deleted = this.invalidateComponents(component);
+    this.matcher.remove(component);
+    return deleted;
+  }
+
+  /**
+   * Turns caching on or off for a single component from the next render on, like the
+   * `disabled` option of the component. Turning it off invalidates the entries of the
+   * component, and the entries embedding them.
+   *
+   * @param {string|Function|RegExp} component a key of `components`
+   * @param {boolean} enableFlag whether the component is cached
+   * @returns {number} the number of entries deleted from the cache
+   */
+  enableComponent(component, enableFlag) {
+    const options = this.matcher.optionsOf(component);
+    if (!options) {
+      const name = typeof component === "function" ? this.matcher.nameOf(component)
+        : String(component);
+      throw new Error(`react-ssr-optimization: ${name} is not a cached component`);
+    }
+    options.disabled = !enableFlag;
+    return enableFlag ? 0 : this.invalidateComponents(component);
+  }
+
+  // Invalidates the entries of the components configured with a key of components
+  invalidateComponents(component) {
+    return this.matcher.namesOf(component)
+      .reduce((deleted, cmpName) => deleted + this.invalidateComponent(cmpName), 0);
+  }
+
+  /**
+   * Stops caching the renders of the process with this optimizer. Once no optimizer is
+   * installed, the require() hook is removed and React's renderer is restored. Calling it
+   * again has no effect.
+   *
+   * @returns {undefined}
+   */
+  uninstall() {
+    if (this.adapter && scope.remove(this) && this.adapter.uninstall) {
+      this.adapter.uninstall(this);
+    }
+  }
+
+  /**
+   * Uninstalls the optimizer, cancels its pending timers and stops saving its snapshot
+   * file on exit, e.g. when an app is shut down and the process goes on.
+   *
+   * @returns {undefined}
+   */
+  dispose() {
+    this.uninstall();
+    clearTimeout(this.unseenCheck);
+    if (this.saveSnapshot) {
+      process.removeListener("exit", this.saveSnapshot);
+    }
   }
 
-  cacheLength() {
-    return this.lruCache.length;
+  /**
+   * Returns the cache entries, in lru-cache `dump()` format.
+   *
+   * @param {string} cmpName optional component name to return only its entries
+   * @returns {Array} the entries of all caches, or of the component
+   */
+  cacheDump(cmpName) {
+    if (cmpName === undefined) {
+      return this.partitions.caches().reduce((dump, lru) => dump.concat(lru.dump()), []);
+    }
+    return this.partitions.cacheFor(cmpName).dump()
+      .filter((hit) => CachePartitions.componentOfKey(hit.k) === cmpName);
   }
 
+  /**
+   * Returns the length of the cache, as computed by its length function.
+   *
+   * @param {string} cmpName optional component name to return the length of its partition,
+   * in bytes for partitions limited by maxBytes, or the number of its entries when it has
+   * none
+   * @returns {number} the length of the cache plus the number of entries of the
+   * partitions, or the length of the component
+   */
+  cacheLength(cmpName) {
+    if (cmpName === undefined) {
+      return this.partitions.caches().slice(1)
+        .reduce((length, lru) => length + lru.itemCount, this.lruCache.length);
+    }
+    return this.partitions.names().indexOf(cmpName) > EMPTY_ID
+      ? this.partitions.cacheFor(cmpName).length
+      : this.cacheDump(cmpName).length;
+  }
+
+  /**
+   * Removes all the entries of the cache, and of the shared cache.
+   *
+   * @returns {undefined}
+   */
   cacheReset() {
-    return this.lruCache.reset();
+    if (this.sharedCache) {
+      this.sharedCache.reset();
+    }
+    this.removingEntries = true;
+    try {
+      this.partitions.caches().slice(1).forEach((lru) => lru.reset());
+      return this.lruCache.reset();
+    } finally {
+      this.removingEntries = false;
+    }
+  }
+
+  // Deletes the local entries matching a predicate when the cache can enumerate them, and
+  // the shared entries of the keys, tags and components invalidated in the background
+  deleteEntries(predicate, invalidated) {
+    if (this.sharedCache) {
+      this.sharedCache.remove(invalidated);
+    }
+    return this.partitions.caches().reduce((deleted, lru) => {
+      if (!lru.forEach || !lru.del) {
+        return deleted;
+      }
+      const keys = [];
+      lru.forEach((value, key) => {
+        if (predicate(value, key)) {
+          keys.push(key);
+        }
+      });
+      this.removingEntries = true;
+      try {
+        keys.forEach((key) => lru.del(key));
+      } finally {
+        this.removingEntries = false;
+      }
+      return deleted + keys.length;
+    }, 0);
+  }
+
+  /**
+   * Invalidates all cache entries of a component, and the entries embedding them.
+   *
+   * @param {string|Function} component the name or the type of the component
+   * @returns {number} the number of entries deleted from the cache, entries of caches that
+   * cannot be enumerated are ignored when read instead
+   */
+  invalidateComponent(component) {
+    const cmpName = this.matcher.nameOf(component);
+    const ofComponent = (key) => key.indexOf(`${cmpName}:`) === 0;
+    this.invalidations.invalidateComponent(cmpName);
+    return this.deleteEntries((value, key) => ofComponent(key)
+      || Boolean(value.children) && value.children.some(ofComponent), {components: [cmpName]});
+  }
+
+  /**
+   * Invalidates the cache entries a component renders with the given props and context,
+   * with and without ids, and the entries embedding them. For components with
+   * composeKeys, the entries rendered with any of the keys of their children are
+   * invalidated.
+   *
+   * @param {string|Function} component the name or the type of the component
+   * @param {Object} props the props of the component
+   * @param {Object} context the legacy context of the component, for components whose key
+   * depends on it
+   * @returns {number} the number of entries deleted from the cache
+   */
+  invalidateKey(component, props, context) {
+    const cmpName = this.matcher.nameOf(component);
+    const cacheConfig = this.matcher.configs[cmpName];
+    const generatedKey = cacheConfig
+      ? this.generateKey({cmpName: cmpName, options: cacheConfig}, props, context) : null;
+    if (generatedKey === null) {
+      return 0;
+    }
+    const cacheKey = this.templatize(cmpName, generatedKey, cloneDeep(props),
+      {slots: [], lists: {}});
+    const hydratableKey = namespacedKey(cacheKey, false);
+    const isKey = cacheConfig.composeKeys
+      ? (key) => key === cacheKey || key === hydratableKey
+        || key.indexOf(`${cacheKey}[`) === 0
+      : (key) => key === cacheKey || key === hydratableKey;
+    this.invalidations.invalidateKey(cacheKey);
+    this.invalidations.invalidateKey(hydratableKey);
+    return this.deleteEntries((value, key) => isKey(key)
+      || Boolean(value.children) && value.children.some(isKey), {keys: [cacheKey, hydratableKey]});
+  }
+
+  /**
+   * Invalidates the cache entries tagged with `tag` by their component's cacheTags.
+   *
+   * @param {string} tag the tag
+   * @returns {number} the number of entries deleted from the cache
+   */
+  invalidateTag(tag) {
+    this.invalidations.invalidateTag(tag);
+    return this.deleteEntries((value) => Boolean(value.tags) && value.tags.indexOf(tag) > EMPTY_ID,
+      {tags: [tag]});
+  }
+
+  /**
+   * Returns the cache statistics collected per component: `hits`, `misses`, `bypasses`
+   * (renders with a null cache key), `evictions`, `hitRatio`, `bytesStored`, and the
+   * `renderTimeNS` of misses, the estimated `renderTimeSavedNS` by hits and the
+   * `templateRenderTimeNS` of hits.
+   *
+   * @returns {Object} the statistics by component name
+   */
+  getStats() {
+    return this.stats ? this.stats.toJSON() : {};
+  }
+
+  /**
+   * @returns {string} the statistics of `getStats` in the Prometheus text format
+   */
+  getPrometheusMetrics() {
+    return this.stats ? this.stats.toPrometheus() : "";
+  }
+
+  resetStats() {
+    if (this.stats) {
+      this.stats.reset();
+    }
+  }
+
+  /**
+   * Fills the cache by rendering components with representative props.
+   *
+   * @param {Array} fixtures a list of `{component, props, staticMarkup}`, `props` being a
+   * list of the props to render the component class with
+   * @param {Object} options optional settings, `staticMarkup` renders the fixtures with
+   * renderToStaticMarkup instead of renderToString, fixtures may override it
+   * @returns {Object} the number of `entries` created and a per component name report of
+   * `succeeded` and `failed` renders along with their `errors`
+   */
+  warm(fixtures, options) {
+    return scope.run(this, () => warm(this, fixtures, options));
+  }
+
+  /**
+   * Saves the cache entries to a snapshot file so they can be restored with `cacheLoad`,
+   * e.g. after a restart. Requires a cache implementing lru-cache's `dump()`. Entries
+   * whose auto key holds the identity of functions or class instances are left out.
+   *
+   * @param {string} file path of the snapshot file
+   * @returns {number} the number of entries saved
+   */
+  cacheSave(file) {
+    return snapshot.save(file, this.cacheDump().filter((hit) => !hit.v.local),
+      adapters.detectReactVersion());
+  }
+
+  /**
+   * Loads the entries of a snapshot file into the cache. Entries older than the cache's
+   * maxAge are skipped. Throws when the snapshot was saved by another version of this
+   * library or of react-dom.
+   *
+   * @param {string} file path of the snapshot file
+   * @returns {number} the number of entries loaded
+   */
+  cacheLoad(file) {
+    const now = Date.now();
+    const entries = snapshot.load(file, adapters.detectReactVersion()).map((found) => {
+      const maxAge = this.partitions.maxAgeFor(CachePartitions.componentOfKey(found.key));
+      found.maxAge = maxAge && found.value.createdAt
+        ? maxAge - (now - found.value.createdAt) : undefined;
+      return found;
+    }).filter((found) => found.maxAge === undefined || found.maxAge > 0);
+    // snapshots list the most recently used entries first
+    for (let i = entries.length - 1; i >= 0; i--) {
+      this.putEntry(entries[i].key, entries[i].value, entries[i].maxAge);
+    }
+    return entries.length;
+  }
+
+  // Loads the configured snapshot file if there is one and saves it again on exit.
+  restoreSnapshot(file) {
+    if (fs.existsSync(file)) {
+      try {
+        this.cacheLoad(file);
+      } catch (err) {
+        this.emitEvent({type: "snapshot", event: "error", action: "load", error: err});
+      }
+    }
+    this.saveSnapshot = () => {
+      try {
+        this.cacheSave(file);
+      } catch (err) {
+        console.error(  // eslint-disable-line no-console
+          `react-ssr-optimization: failed to save snapshot ${file}: ${err.message}`);
+      }
+    };
+    process.on("exit", this.saveSnapshot);
+  }
+
+  /**
+   * Loads entries of the shared cache into the local cache, e.g. before the server starts
+   * accepting traffic.
+   *
+   * @param {Array} keys optional cache keys to load, all shared entries when omitted
+   * @returns {Promise} resolves to the number of entries loaded
+   */
+  cachePrefetch(keys) {
+    if (!this.sharedCache) {
+      return Promise.resolve(0);
+    }
+    return this.sharedCache.fetch(keys).then((entries) => {
+      entries.forEach((found) => this.putEntry(found.key, found.value));
+      return entries.length;
+    });
   }
 }
 
+const getAdapter = () => {
+  const optimizer = scope.current();
+  return optimizer ? optimizer.adapter : adapters.select();
+};
+
 module.exports = (config) => new InstantiateReactComponentOptimizer(config);
+
+module.exports.createMemoryCache = createMemoryCache;
+
+module.exports.createRedisCache = createRedisCache;
+
+module.exports.validateConfig = validation.validate;
+
+module.exports.toServerTiming = renderSummary.toServerTiming;
+
+/**
+ * Streaming counterparts of ReactDOMServer's renderToString/renderToStaticMarkup that
+ * push the markup of memoized components as soon as it is rendered.
+ *
+ * @param {Object} element the React element to render
+ * @returns {stream.Readable} a stream of the rendered markup, e.g. to pipe into a response
+ */
+module.exports.renderToNodeStream = (element) => getAdapter().renderToStream(element, false);
+
+module.exports.renderToStaticNodeStream = (element) =>
+  getAdapter().renderToStream(element, true);
+
+/**
+ * Renders with an optimizer: the elements rendered by the function, synchronously or
+ * through the streams it creates with this module's renderToNodeStream and
+ * renderToStaticNodeStream, are cached with the config and the cache of the optimizer
+ * instead of the latest one created, e.g. to render different apps or tenants of the
+ * process. The streams of ReactDOMServer are read after the function returns, with the
+ * latest optimizer. Renders with an optimizer that is not installed are not cached.
+ *
+ * @param {Object} optimizer the optimizer to render with
+ * @param {Function} render the function rendering, e.g. calling ReactDOMServer
+ * @returns {*} the return value of render
+ */
+module.exports.withOptimizer = (optimizer, render) => scope.run(optimizer, render);
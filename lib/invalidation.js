@@ -0,0 +1,89 @@
+"use strict";
+
+const CachePartitions = require("./partitions");
+
+/**
+ * Records when components, tags and single cache keys were invalidated. An entry created
+ * at or before the invalidation of its component, one of its tags or its key is stale, as
+ * is an entry embedding the entry of an invalidated component or key.
+ * Checking entries when they are read makes invalidation work with caches that cannot
+ * enumerate or delete their entries, and with entries loaded later from a snapshot or a
+ * shared cache.
+ * Entries expire after the longest maxAge of the caches, so the invalidations older than
+ * it are dropped, at most once per maxAge, and the entries created before the
+ * invalidations dropped are stale.
+ */
+class Invalidations {
+
+  // maxAge: returns the longest maxAge of the caches, Infinity when entries do not expire
+  constructor(maxAge) {
+    this.maxAge = maxAge;
+    this.components = {};
+    this.tags = {};
+    this.keys = {};
+    this.empty = true;
+    this.prunedAt = Date.now();
+    this.prunedUntil = 0;
+  }
+
+  invalidateComponent(cmpName) {
+    this.prune();
+    this.components[cmpName] = Date.now();
+    this.empty = false;
+  }
+
+  invalidateTag(tag) {
+    this.prune();
+    this.tags[tag] = Date.now();
+    this.empty = false;
+  }
+
+  invalidateKey(cacheKey) {
+    this.prune();
+    this.keys[cacheKey] = Date.now();
+    this.empty = false;
+  }
+
+  prune() {
+    const maxAge = this.maxAge ? this.maxAge() : Infinity;
+    const now = Date.now();
+    if (!isFinite(maxAge) || now - this.prunedAt < maxAge) {
+      return;
+    }
+    const until = now - maxAge;
+    [this.components, this.tags, this.keys].forEach((records) => {
+      Object.keys(records).forEach((name) => {
+        if (records[name] <= until) {
+          delete records[name];
+        }
+      });
+    });
+    this.prunedAt = now;
+    this.prunedUntil = until;
+  }
+
+  // A new entry for the key supersedes its invalidation, which is kept for the entries
+  // embedding the previous one
+  stored(cacheKey) {
+    if (!this.empty && this.keys[cacheKey] !== undefined) {
+      this.keys[cacheKey] = Math.min(this.keys[cacheKey], Date.now() - 1);
+    }
+  }
+
+  isStale(cmpName, cacheKey, entry) {
+    if (this.empty) {
+      return false;
+    }
+    const createdAt = entry.createdAt || 0;
+    const isAfter = (time) => time !== undefined && createdAt <= time;
+    return isAfter(this.prunedUntil || undefined)
+      || isAfter(this.components[cmpName]) || isAfter(this.keys[cacheKey])
+      || Boolean(entry.tags && entry.tags.some((tag) => isAfter(this.tags[tag])))
+      || Boolean(entry.children && entry.children.some((child) => {
+        return isAfter(this.components[CachePartitions.componentOfKey(child)])
+          || isAfter(this.keys[child]);
+      }));
+  }
+}
+
+module.exports = Invalidations;
@@ -0,0 +1,80 @@
+"use strict";
+
+const crypto = require("crypto");
+const isArray = require("lodash/isArray");
+
+/*
+ * The values of the attributes cache keys are made of are serialized with their type, so
+ * the string "1" and the number 1 make different keys, and delimited, so "ab" and "c"
+ * make a different key than "a" and "bc". The properties of objects are serialized in
+ * order of their names, objects with the same properties make the same key whatever the
+ * order they were set in.
+ * Long keys can be shortened to a hash of their value. Keys are compared by their hash
+ * then, the full key can be stored with the entries to tell the keys colliding apart.
+ */
+
+const DEFAULT_ALGORITHM = "sha1";
+const DEFAULT_MAX_LENGTH = 64;
+
+// Values JSON leaves out, serialized as undefined
+const isOmitted = (value) => value === undefined || typeof value === "function"
+  || typeof value === "symbol";
+
+/**
+ * @param {*} value the value of an attribute
+ * @returns {string} the value serialized for a cache key: strings quoted, numbers, booleans
+ * and null as they are, undefined as u, arrays and objects as JSON with sorted properties
+ */
+const serialize = (value) => {
+  if (isOmitted(value)) {
+    return "u";
+  }
+  if (value === null || typeof value !== "object") {
+    return typeof value === "number" ? String(value) : JSON.stringify(value);
+  }
+  if (typeof value.toJSON === "function") {
+    return serialize(value.toJSON());
+  }
+  if (isArray(value)) {
+    return `[${value.map((item) => {
+      return isOmitted(item) ? "null" : serialize(item);
+    }).join(",")}]`;
+  }
+  return `{${Object.keys(value).sort().filter((name) => !isOmitted(value[name]))
+    .map((name) => `${JSON.stringify(name)}:${serialize(value[name])}`).join(",")}}`;
+};
+
+/**
+ * @param {Array} values the values of the attributes of a key
+ * @returns {string} the values serialized and delimited by commas
+ */
+const serializeAll = (values) => values.map(serialize).join(",");
+
+/**
+ * @param {string} algorithm the name of a hash algorithm
+ * @returns {boolean} whether the algorithm is supported by node's crypto
+ */
+const isAlgorithm = (algorithm) => crypto.getHashes().indexOf(algorithm) >= 0;
+
+/**
+ * @param {boolean|Object} options true, or the hash `algorithm`, sha1 by default, and the
+ * `maxLength` of the keys kept as they are, 64 by default
+ * @returns {Function} shortens the keys longer than maxLength to the name of the
+ * algorithm and the hex digest of the key, e.g. `sha1-0beec7b5ea3f0fdbc95d0dd47f3c5bc275da8a33`
+ */
+const hasher = (options) => {
+  options = options === true ? {} : options;
+  const algorithm = options.algorithm || DEFAULT_ALGORITHM;
+  const maxLength = options.maxLength === undefined ? DEFAULT_MAX_LENGTH : options.maxLength;
+  return (key) => {
+    return key.length > maxLength
+      ? `${algorithm}-${crypto.createHash(algorithm).update(key).digest("hex")}` : key;
+  };
+};
+
+module.exports = {
+  serialize: serialize,
+  serializeAll: serializeAll,
+  isAlgorithm: isAlgorithm,
+  hasher: hasher
+};
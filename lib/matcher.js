@@ -0,0 +1,250 @@
+"use strict";
+
+const isArray = require("lodash/isArray");
+const isRegExp = require("lodash/isRegExp");
+
+const nameOfType = (type) => type.displayName || type.name;
+
+const isPredicate = (key) => Boolean(key) && !isRegExp(key) && typeof key.test === "function";
+
+// The [key, options] pairs of the components config: an object keyed by name, a Map keyed
+// by name, component type or regular expression, or an array of {type} or {test} entries
+const entriesOf = (components) => {
+  if (!components) {
+    return [];
+  }
+  if (components instanceof Map) {
+    return Array.from(components.entries());
+  }
+  if (isArray(components)) {
+    return components.map((options) => [options.test ? {test: options.test} : options.type,
+      options]);
+  }
+  return Object.keys(components).map((cmpName) => [cmpName, components[cmpName]]);
+};
+
+/**
+ * Matches elements to the cached components, configured by name, by component type, by a
+ * regular expression tested against the name of components or by a `test(type, props)`
+ * predicate. Entries are cached under the name of the component, or for components
+ * configured by type the `name` option when set. The names of components configured by
+ * type and of the component types matched by regular expressions and predicates are made
+ * unique, so types sharing a name, e.g. the Button of two libraries, are cached apart.
+ * Components configured with the `disabled` option are not matched.
+ */
+class ComponentMatcher {
+
+  // normalize normalizes the options of each component, register is called with the name
+  // and options of a component when it is configured, or first matched for regular
+  // expressions and predicates
+  constructor(components, normalize, register) {
+    this.normalize = normalize;
+    this.register = register;
+    this.configs = {};
+    this.names = {};
+    this.byType = new Map();
+    this.patterns = [];
+    this.predicates = [];
+    this.typeMatches = new WeakMap();
+    this.seen = {};
+    entriesOf(components).forEach((entry) => {
+      const options = normalize(entry[1]);
+      if (components.constructor === Object) {
+        components[entry[0]] = options;
+      }
+      this.add(entry[0], options);
+    });
+  }
+
+  add(key, options) {
+    if (typeof key === "string") {
+      this.names[key] = this.configure(key, options);
+    } else if (isRegExp(key)) {
+      this.patterns.push({pattern: key, options: options, label: String(key),
+        matches: new WeakMap()});
+    } else if (isPredicate(key)) {
+      this.predicates.push({test: key.test, options: options,
+        label: `predicate ${this.predicates.length + 1}`, matches: new WeakMap()});
+    } else if (key) {
+      this.byType.set(key, this.configure(this.uniqueName(options.name || nameOfType(key)),
+        options));
+    }
+  }
+
+  // The name, or the name followed by the first number it is not configured with
+  uniqueName(name) {
+    let cmpName = name;
+    for (let i = 2; this.configs[cmpName]; i++) {
+      cmpName = `${name}_${i}`;
+    }
+    return cmpName;
+  }
+
+  // The match of a component type by a regular expression or a predicate, configured
+  // under a unique name the first time the type is matched
+  matchRule(rule, type, name) {
+    this.seen[rule.label] = true;
+    if (!rule.matches.has(type)) {
+      rule.matches.set(type, this.configure(this.uniqueName(name), rule.options));
+    }
+    return rule.matches.get(type);
+  }
+
+  /**
+   * Configures a component, replacing its options when it is already configured.
+   *
+   * @param {string|Function|RegExp|Object} key a key of the components config
+   * @param {Function|Object} options the options of the component
+   * @returns {Object} the normalized options
+   */
+  set(key, options) {
+    const normalized = this.normalize(options);
+    this.remove(key);
+    this.add(key, normalized);
+    return normalized;
+  }
+
+  /**
+   * Stops matching the components configured with a key.
+   *
+   * @param {string|Function|RegExp|Object} key a key of the components config
+   * @returns {undefined}
+   */
+  remove(key) {
+    this.namesOf(key).forEach((cmpName) => {
+      delete this.configs[cmpName];
+      this.register(cmpName, {});
+    });
+    if (typeof key === "string") {
+      delete this.names[key];
+    } else if (isRegExp(key)) {
+      this.patterns = this.patterns.filter((rule) => String(rule.pattern) !== String(key));
+    } else if (isPredicate(key)) {
+      this.predicates = this.predicates.filter((rule) => rule.test !== key.test);
+    } else {
+      this.byType.delete(key);
+    }
+    this.typeMatches = new WeakMap();
+  }
+
+  // The rule of a regular expression or a predicate key
+  ruleOf(key) {
+    return isRegExp(key)
+      ? this.patterns.find((rule) => String(rule.pattern) === String(key))
+      : this.predicates.find((rule) => rule.test === key.test);
+  }
+
+  /**
+   * @param {string|Function|RegExp|Object} key a key of the components config
+   * @returns {Object} the options the key is configured with, undefined when it is not
+   */
+  optionsOf(key) {
+    if (typeof key === "string") {
+      return this.names[key] && this.names[key].options;
+    }
+    if (isRegExp(key) || isPredicate(key)) {
+      const rule = this.ruleOf(key);
+      return rule && rule.options;
+    }
+    return this.byType.has(key) ? this.byType.get(key).options : undefined;
+  }
+
+  /**
+   * @param {string|Function|RegExp|Object} key a key of the components config
+   * @returns {Array} the names the entries of the components configured with the key are
+   * cached under, e.g. the names of the components matched by a regular expression
+   */
+  namesOf(key) {
+    if (typeof key === "string") {
+      return this.names[key] ? [key] : [];
+    }
+    if (isRegExp(key) || isPredicate(key)) {
+      const rule = this.ruleOf(key);
+      return Object.keys(this.configs).filter((cmpName) => {
+        return Boolean(rule) && this.configs[cmpName] === rule.options;
+      });
+    }
+    return this.byType.has(key) ? [this.byType.get(key).cmpName] : [];
+  }
+
+  configure(cmpName, options) {
+    this.configs[cmpName] = options;
+    this.register(cmpName, options);
+    return {cmpName: cmpName, options: options};
+  }
+
+  matchType(type) {
+    if (this.byType.has(type)) {
+      return this.byType.get(type);
+    }
+    const cmpName = [type.displayName, type.name].find((name) => Boolean(this.names[name]));
+    if (cmpName) {
+      return this.names[cmpName];
+    }
+    const name = nameOfType(type);
+    const rule = name && this.patterns.find((pattern) => pattern.pattern.test(name));
+    return rule ? this.matchRule(rule, type, name) : null;
+  }
+
+  /**
+   * @param {Object} element the element being rendered
+   * @returns {Object} the `cmpName` and `options` of the component, null when it is not
+   * cached
+   */
+  match(element) {
+    const type = element && element.type;
+    if (!type || typeof type !== "function" && typeof type !== "object") {
+      return null;
+    }
+    let match = this.typeMatches.get(type);
+    if (match === undefined) {
+      match = this.matchType(type);
+      this.typeMatches.set(type, match);
+    }
+    if (!match && this.predicates.length) {
+      match = this.matchPredicate(type, element.props);
+    }
+    if (match) {
+      this.seen[match.cmpName] = true;
+    }
+    return match && !match.options.disabled ? match : null;
+  }
+
+  matchPredicate(type, props) {
+    const rule = this.predicates.find((predicate) => predicate.test(type, props));
+    const name = rule && nameOfType(type);
+    return name ? this.matchRule(rule, type, name) : null;
+  }
+
+  /**
+   * @param {string|Function} component the name or the type of a component
+   * @returns {string} the name entries of the component are cached under
+   */
+  nameOf(component) {
+    if (typeof component === "string") {
+      return component;
+    }
+    if (this.byType.has(component)) {
+      return this.byType.get(component).cmpName;
+    }
+    const rule = this.patterns.concat(this.predicates).find((candidate) => {
+      return candidate.matches.has(component);
+    });
+    return rule ? rule.matches.get(component).cmpName : nameOfType(component);
+  }
+
+  /**
+   * @returns {Array} the names, regular expressions and predicates configured that did not
+   * match any component rendered
+   */
+  unseen() {
+    const rules = this.patterns.concat(this.predicates);
+    const configured = Object.keys(this.configs).filter((cmpName) => {
+      return !rules.some((rule) => rule.options === this.configs[cmpName]);
+    });
+    return configured.concat(rules.map((rule) => rule.label))
+      .filter((label) => !this.seen[label]);
+  }
+}
+
+module.exports = ComponentMatcher;
@@ -0,0 +1,85 @@
+"use strict";
+
+const cache = require("lru-cache");
+
+const byteLength = (entry) => Buffer.byteLength(entry.markup || "");
+
+const componentOfKey = (cacheKey) => cacheKey.slice(0, cacheKey.indexOf(":"));
+
+/**
+ * Routes cache entries to per-component LRU caches for the components configured with
+ * `maxEntries`, `maxAge` or `maxBytes`, and to the shared cache for all others, so a
+ * component with many different entries cannot evict the entries of other components.
+ */
+class CachePartitions {
+
+  constructor(sharedCache, maxAge, dispose) {
+    this.shared = sharedCache;
+    this.sharedMaxAge = maxAge;
+    this.dispose = dispose;
+    this.partitions = {};
+  }
+
+  configure(cmpName, options) {
+    delete this.partitions[cmpName];
+    if (!options.maxEntries && !options.maxBytes && !options.maxAge) {
+      return;
+    }
+    const maxAge = options.maxAge || this.sharedMaxAge;
+    this.partitions[cmpName] = {
+      cache: cache({
+        max: options.maxBytes || options.maxEntries,
+        length: options.maxBytes ? byteLength : undefined,
+        maxAge: maxAge,
+        dispose: this.dispose
+      }),
+      maxAge: maxAge,
+      // lru-cache has a single limit, the entry limit of byte limited partitions is kept here
+      maxEntries: options.maxBytes ? options.maxEntries : 0
+    };
+  }
+
+  names() {
+    return Object.keys(this.partitions);
+  }
+
+  caches() {
+    return [this.shared].concat(this.names().map((cmpName) => this.partitions[cmpName].cache));
+  }
+
+  cacheFor(cmpName) {
+    return this.partitions[cmpName] ? this.partitions[cmpName].cache : this.shared;
+  }
+
+  maxAgeFor(cmpName) {
+    return this.partitions[cmpName] ? this.partitions[cmpName].maxAge : this.sharedMaxAge;
+  }
+
+  // The longest maxAge of the caches, Infinity when entries of some cache do not expire
+  longestMaxAge() {
+    return [this.sharedMaxAge]
+      .concat(this.names().map((cmpName) => this.partitions[cmpName].maxAge))
+      .reduce((longest, maxAge) => Math.max(longest, maxAge > 0 ? maxAge : Infinity), 0);
+  }
+
+  get(cacheKey) {
+    return this.cacheFor(componentOfKey(cacheKey)).get(cacheKey);
+  }
+
+  set(cacheKey, value, maxAge) {
+    const partition = this.partitions[componentOfKey(cacheKey)];
+    const target = partition ? partition.cache : this.shared;
+    if (maxAge === undefined) {
+      target.set(cacheKey, value);
+    } else {
+      target.set(cacheKey, value, maxAge);
+    }
+    while (partition && partition.maxEntries && partition.cache.itemCount > partition.maxEntries) {
+      partition.cache.pop();
+    }
+  }
+}
+
+CachePartitions.componentOfKey = componentOfKey;
+
+module.exports = CachePartitions;
@@ -0,0 +1,255 @@
+"use strict";
+
+const get = require("lodash/get");
+const toPath = require("lodash/toPath");
+const isArray = require("lodash/isArray");
+const isEqual = require("lodash/isEqual");
+const template = require("./template");
+
+/*
+ * Repeated sections cache the markup of the items of an array prop once, instead of an
+ * entry for each length of the array. A miss rendering two items or more finds in the
+ * markup the section of each item from the tokens of its values: the section of an item
+ * starts where the markup gets back to the depth of the items after the last token of
+ * the previous item. The markup up to the end of the first item, which includes the first
+ * item, and the markup after the last item are compiled as usual, the sections of the
+ * other items are compiled into item templates and hits render one for each item.
+ * Items are rendered with a template of their own variant, the values of the `cacheAttrs`
+ * of the section and the length of their arrays, which are learned as they are rendered.
+ * Markup whose items cannot be told apart, or whose items of the same variant render
+ * differently, falls back to an entry for each length of the array.
+ */
+
+const MIN_ITEMS = 2;
+
+const MARKUP_TAG = /<!--[\s\S]*?-->|<(\/?)[a-zA-Z][^>]*?(\/?)>/g;
+
+// The tags and comments of the markup and the depth of the markup after each
+const boundariesOf = (markup) => {
+  const boundaries = [{start: 0, end: 0, depth: 0}];
+  let depth = 0;
+  markup.replace(MARKUP_TAG, (match, closing, selfClosing, // eslint-disable-line max-params
+      index) => {
+    if (closing) {
+      depth--;
+    } else if (match[1] !== "!" && !selfClosing) {
+      depth++;
+    }
+    boundaries.push({start: index, end: index + match.length, depth: depth});
+    return match;
+  });
+  return boundaries;
+};
+
+// The positions between from and to outside of tags and the depth of the markup there
+const pointsBetween = (boundaries, from, to) => {
+  const points = [];
+  boundaries.forEach((boundary, i) => {
+    const next = boundaries[i + 1];
+    if (boundary.end <= from && (!next || next.start >= from)) {
+      points.push({position: from, depth: boundary.depth});
+    } else if (boundary.end > from && boundary.end <= to) {
+      points.push({position: boundary.end, depth: boundary.depth});
+    }
+  });
+  return points;
+};
+
+const lowestPoint = (points) => points.reduce((lowest, point) => {
+  return point.depth < lowest.depth ? point : lowest;
+}, points[0]);
+
+// The first and last positions of the tokens of each item
+const itemBounds = (tokens, list) => list.ranges.map((range) => {
+  const own = tokens.filter((found) => found.slot >= range.from && found.slot < range.to);
+  return own.length ? {first: own[0].start, last: own[own.length - 1].end} : null;
+});
+
+// The positions where the sections of the items after the first start, followed by the
+// position where the last one ends, or null when the items cannot be told apart
+const sectionsOf = (markup, boundaries, tokens, list) => { // eslint-disable-line max-params
+  const bounds = itemBounds(tokens, list);
+  if (bounds.some((bound, i) => !bound || i > 0 && bounds[i - 1].last > bound.first)) {
+    return null;
+  }
+  const splits = [];
+  let depth;
+  for (let i = 1; i < bounds.length; i++) {
+    const lowest = lowestPoint(pointsBetween(boundaries, bounds[i - 1].last, bounds[i].first));
+    if (!lowest || depth !== undefined && lowest.depth !== depth) {
+      return null;
+    }
+    depth = lowest.depth;
+    splits.push(lowest.position);
+  }
+  const end = pointsBetween(boundaries, bounds[bounds.length - 1].last, markup.length)
+    .find((point) => point.depth <= depth);
+  return end ? splits.concat(end.position) : null;
+};
+
+// Whether each token between the sections is a value of the item of its section, and
+// no token outside is a value of the items after the first
+const ownsTokens = (tokens, list, splits) => tokens.every((found) => {
+  const item = list.ranges.findIndex((range) => found.slot >= range.from
+    && found.slot < range.to);
+  const section = splits.findIndex((split, i) => found.start >= split
+    && found.start < splits[i + 1]);
+  return section < 0 ? item <= 0 : item < 0 || item === section + 1;
+});
+
+// The sections of each list in the order of the markup, null when some cannot be found
+const findSections = (markup, templated) => {
+  const boundaries = boundariesOf(markup);
+  const tokens = template.tokensOf(markup, templated.first);
+  const sections = Object.keys(templated.lists).map((attr) => {
+    const list = templated.lists[attr];
+    const splits = sectionsOf(markup, boundaries, tokens, list);
+    return splits && ownsTokens(tokens, list, splits)
+      ? {attr: attr, list: list, splits: splits} : null;
+  });
+  if (sections.some((section) => !section)
+    || tokens.some((found) => found.slot >= templated.slots.length)) {
+    return null;
+  }
+  return sections.sort((a, b) => a.splits[0] - b.splits[0]);
+};
+
+/**
+ * The repeated sections of a component, configured by its `repeatAttrs`.
+ */
+class RepeatedSections {
+
+  // repeatAttrs are the paths of the array props, or objects with the `attr` path and the
+  // `cacheAttrs` of the items rendering variants of their section
+  constructor(repeatAttrs) {
+    this.lists = repeatAttrs.map((repeatAttr) => {
+      const options = typeof repeatAttr === "string" ? {attr: repeatAttr} : repeatAttr;
+      const cacheAttrs = (options.cacheAttrs || []).map((attr) => toPath(attr));
+      return {
+        attr: options.attr,
+        path: toPath(options.attr),
+        cacheAttrs: cacheAttrs,
+        keep: (path) => cacheAttrs.some((attr) => isEqual(attr, path))
+      };
+    });
+    this.unrepeatable = {};
+  }
+
+  /**
+   * Replaces the values of the items of the sections with template tokens.
+   *
+   * @param {Object} props the props, modified in place
+   * @param {Object} templated receives the `slots` of the values and the `lists` of the
+   * sections, with the `variants` of the items and the `ranges` of their slots
+   * @param {Array} arrays receives the parts of the cache key for the arrays
+   * @returns {undefined}
+   */
+  templatize(props, templated, arrays) {
+    this.lists.forEach((list) => {
+      const items = get(props, list.path);
+      if (!isArray(items) || items.length < MIN_ITEMS || this.unrepeatable[list.attr]) {
+        template.templatize(props, list.path, items, {slots: templated.slots, arrays: arrays,
+          first: templated.first});
+        return;
+      }
+      const variants = [];
+      const ranges = items.map((item, i) => {
+        const from = templated.slots.length;
+        const values = list.cacheAttrs.map((attr) => JSON.stringify(get(item, attr)));
+        const itemArrays = [];
+        template.templatize(props, list.path.concat(i), item, {slots: templated.slots,
+          arrays: itemArrays, first: templated.first, base: list.path.length + 1,
+          keep: list.keep});
+        variants.push(values.concat(itemArrays).join(","));
+        return {from: from, to: templated.slots.length};
+      });
+      templated.lists[list.attr] = {path: list.path, variants: variants, ranges: ranges};
+      arrays.push(`a.${list.attr}_n${variants[0] ? `|${variants[0]}` : ""}`);
+    });
+  }
+
+  /**
+   * Compiles markup rendered with repeated sections. When the sections cannot be found
+   * the attributes of the sections are marked unrepeatable.
+   *
+   * @param {string} markup the markup rendered with template tokens
+   * @param {Object} templated the `slots` and `lists` recorded by templatize
+   * @param {Object} adapter the renderer adapter numbering the ids of the items
+   * @returns {Array} the compiled markup, null when the sections cannot be found
+   */
+  compile(markup, templated, adapter) {
+    const parts = this.compileSections(markup, templated, adapter);
+    if (!parts) {
+      Object.keys(templated.lists).forEach((attr) => {
+        this.unrepeatable[attr] = true;
+      });
+    }
+    return parts;
+  }
+
+  compileSections(markup, templated, adapter) {
+    const sections = findSections(markup, templated);
+    if (!sections) {
+      return null;
+    }
+    const absolute = (slot) => ({path: templated.slots[slot].path});
+    let parts = [];
+    let last = 0;
+    for (let i = 0; i < sections.length; i++) {
+      const section = sections[i];
+      const items = section.splits[0] >= last
+        && this.compileItems(markup, templated, section, adapter);
+      if (!items) {
+        return null;
+      }
+      parts = parts.concat(template.compile(markup.slice(last, section.splits[0]), absolute,
+        templated.first));
+      parts.push({section: section.attr, items: items});
+      last = section.splits[section.splits.length - 1];
+    }
+    return parts.concat(template.compile(markup.slice(last), absolute, templated.first));
+  }
+
+  // The templates of the items after the first by variant, with their own values relative
+  // to the item, or null when items of the same variant render differently
+  compileItems(markup, templated, section, adapter) { // eslint-disable-line max-params
+    const list = section.list;
+    const base = list.path.length + 1;
+    const relative = (slot) => {
+      const path = templated.slots[slot].path;
+      return isEqual(path.slice(0, list.path.length), list.path) ? {path: path.slice(base)}
+        : {path: path, root: true};
+    };
+    const items = {};
+    for (let i = 1; i < section.splits.length; i++) {
+      const itemMarkup = markup.slice(section.splits[i - 1], section.splits[i]);
+      const numbered = adapter.renumberIds ? adapter.renumberIds(itemMarkup, 1) : itemMarkup;
+      if (numbered === null) {
+        return null;
+      }
+      const parts = template.compile(numbered, relative, templated.first);
+      const variant = list.variants[i];
+      if (items[variant] && !isEqual(items[variant], parts)) {
+        return null;
+      }
+      items[variant] = parts;
+    }
+    return items;
+  }
+
+  /**
+   * @param {Array} parts compiled markup
+   * @param {Array} previous compiled markup of the same entry, rendered with other
+   * variants of the items
+   * @returns {Array} the parts with the item templates of both
+   */
+  merge(parts, previous) {
+    return parts.map((part) => {
+      const same = part.section && previous.find((prev) => prev.section === part.section);
+      return same ? {section: part.section, items: Object.assign({}, same.items, part.items)}
+        : part;
+    });
+  }
+}
+
+module.exports = RepeatedSections;
@@ -0,0 +1,97 @@
+"use strict";
+
+/*
+ * The optimizers installed in the process. React's renderer is hooked once, whatever the
+ * number of optimizers, and the hooks ask for the optimizer of the render in progress:
+ * the optimizer of the innermost withOptimizer() call, otherwise the latest installed.
+ * A scope can also carry the request of a render, its render context and summary.
+ */
+
+const installed = [];
+const scopes = [];
+
+/**
+ * @returns {Object} the optimizer of the render in progress, null when the render is
+ * scoped to an optimizer that is not installed and undefined when none is installed
+ */
+const current = () => {
+  return scopes.length ? scopes[scopes.length - 1].optimizer : installed[installed.length - 1];
+};
+
+/**
+ * @returns {Object} the request of the render in progress, undefined when the render has
+ * none
+ */
+const request = () => {
+  return scopes.length ? scopes[scopes.length - 1].request : undefined;
+};
+
+/**
+ * Adds an optimizer to the installed optimizers.
+ *
+ * @param {Object} optimizer the optimizer
+ * @returns {boolean} whether it is the only installed optimizer, i.e. the renderer has to
+ * be hooked
+ */
+const add = (optimizer) => {
+  if (installed.indexOf(optimizer) < 0) {
+    installed.push(optimizer);
+  }
+  return installed.length === 1;
+};
+
+/**
+ * Removes an optimizer from the installed optimizers.
+ *
+ * @param {Object} optimizer the optimizer
+ * @returns {boolean} whether it was the last installed optimizer, i.e. the hooks of the
+ * renderer can be removed
+ */
+const remove = (optimizer) => {
+  const index = installed.indexOf(optimizer);
+  if (index < 0) {
+    return false;
+  }
+  installed.splice(index, 1);
+  return installed.length === 0;
+};
+
+/**
+ * @param {Object} optimizer the optimizer
+ * @returns {boolean} whether the optimizer is installed
+ */
+const isInstalled = (optimizer) => installed.indexOf(optimizer) >= 0;
+
+/**
+ * Calls a function with the renders it makes using an optimizer. Renders scoped to an
+ * optimizer that is not installed, e.g. in non-production environments, are not cached.
+ *
+ * @param {Object} optimizer the optimizer
+ * @param {Function} render the function rendering
+ * @param {Object} renderRequest the request of the renders, defaults to the request of
+ * the enclosing scope of the same optimizer
+ * @returns {*} the return value of render
+ */
+const run = (optimizer, render, renderRequest) => {
+  const enclosing = scopes[scopes.length - 1];
+  const inherited = enclosing && enclosing.optimizer === optimizer ? enclosing.request
+    : undefined;
+  scopes.push({
+    optimizer: isInstalled(optimizer) ? optimizer : null,
+    request: renderRequest || inherited
+  });
+  try {
+    return render();
+  } finally {
+    scopes.pop();
+  }
+};
+
+module.exports = {
+  current: current,
+  request: request,
+  add: add,
+  remove: remove,
+  isInstalled: isInstalled,
+  run: run
+};
@@ -0,0 +1,228 @@
+"use strict";
+
+const uniq = require("lodash/uniq");
+const entry = require("./entry");
+
+// The number of requests sent to the backend at a time
+const CONCURRENCY = 16;
+
+// References are stored as keys `~<type>~<ref>~<key>`, so they are listed without their
+// values: "k" for the keys embedded by an entry and the key it is composed from, "t"
+// for its tags, "c" for the components of the entry and of the entries it embeds.
+const REF_MARK = "~";
+const escapeRef = (ref) => ref.replace(/%/g, "%25").replace(/~/g, "%7E");
+
+// The component of a cache key, the part before its first colon
+const componentOf = (key) => key.slice(0, key.indexOf(":"));
+
+// Calls fn with each item, CONCURRENCY at a time, resolves to the results in order
+const mapLimited = (items, fn) => {
+  const results = [];
+  let next = 0;
+  const work = () => {
+    if (next >= items.length) {
+      return undefined;
+    }
+    const index = next++;
+    return Promise.resolve().then(() => fn(items[index])).then((result) => {
+      results[index] = result;
+      return work();
+    });
+  };
+  const workers = [];
+  for (let i = 0; i < Math.min(CONCURRENCY, items.length); i++) {
+    workers.push(work());
+  }
+  return Promise.all(workers).then(() => results);
+};
+
+/**
+ * Second cache tier shared by processes, backed by an asynchronous store such as Redis.
+ * Rendering is synchronous, so entries are read ahead of time with `fetch`, and the
+ * entries rendered after a miss of the local cache are written in the background, unless
+ * the store already holds an entry for their key, which then replaces them. Invalidated
+ * entries are deleted from the store in the background too: the entries stored are
+ * referenced by the keys they embed, their tags and their components, so the entries
+ * invalidated are found by listing the references, without reading any entry.
+ * Keys are namespaced by the versions of this library and of react-dom, so processes
+ * running other versions, e.g. during a rolling upgrade, do not share markup.
+ *
+ * A backend implements `get(key)`, `set(key, value, maxAge)`, `del(key)` and, to fetch and
+ * invalidate all entries, `keys(prefix)`, and optionally `reset()`; each returns a Promise.
+ * Values are plain objects.
+ */
+class SharedCache {
+
+  // namespace: the prefix of the keys of the entries of the versions running
+  constructor(backend, emitEvent, namespace) {
+    this.backend = backend;
+    this.emitEvent = emitEvent;
+    this.namespace = namespace;
+  }
+
+  onError(action, key) {
+    return (err) => {
+      this.emitEvent({type: "sharedCache", event: "error", action: action, key: key,
+        error: err});
+    };
+  }
+
+  // The keys of the backend starting with prefix, backends may ignore the prefix
+  list(prefix) {
+    if (!this.backend.keys) {
+      return Promise.reject(
+        new Error("react-ssr-optimization: sharedCache does not implement keys()"));
+    }
+    return Promise.resolve(this.backend.keys(prefix))
+      .then((keys) => keys.filter((key) => key.indexOf(prefix) === 0));
+  }
+
+  refKey(type, ref, key) {
+    return `${this.namespace}${REF_MARK}${type}${REF_MARK}${escapeRef(ref)}${REF_MARK}${key}`;
+  }
+
+  // The references of an entry, baseKey is the key it is composed from
+  refKeysOf(key, value, baseKey) {
+    const children = value.children || [];
+    const refKeys = children.map((child) => this.refKey("k", child, key))
+      .concat((value.tags || []).map((tag) => this.refKey("t", tag, key)))
+      .concat(uniq([key].concat(children).map(componentOf))
+        .map((cmpName) => this.refKey("c", cmpName, key)));
+    return baseKey && baseKey !== key ? refKeys.concat(this.refKey("k", baseKey, key))
+      : refKeys;
+  }
+
+  store(key, value, maxAge, baseKey) { // eslint-disable-line max-params
+    let pending;
+    try {
+      pending = Promise.resolve(this.backend.set(this.namespace + key, entry.serialize(value),
+        maxAge)).then(() => mapLimited(this.refKeysOf(key, value, baseKey),
+          (refKey) => this.backend.set(refKey, true, maxAge)));
+    } catch (err) {
+      pending = Promise.reject(err);
+    }
+    return pending.catch(this.onError("set", key));
+  }
+
+  /**
+   * Writes an entry rendered after a miss of the local cache, unless the backend holds an
+   * entry for its key, e.g. one written by another process since the local cache was
+   * prefetched.
+   *
+   * @param {string} key the cache key
+   * @param {Object} value the entry rendered
+   * @param {number} maxAge the maxAge of the entry
+   * @param {string} baseKey the key the cache key is composed from, before it is composed
+   * with the keys of the children and namespaced
+   * @returns {Promise} resolves to the entry of the backend, undefined when it had none
+   */
+  storeMissing(key, value, maxAge, baseKey) { // eslint-disable-line max-params
+    return this.fetch([key]).then((found) => {
+      return found.length ? found[0].value
+        : this.store(key, value, maxAge, baseKey).then(() => undefined);
+    });
+  }
+
+  /**
+   * Reads entries from the backend.
+   *
+   * @param {Array} keys the cache keys to read, all keys of the backend when omitted
+   * @returns {Promise} resolves to an array of `{key, value}` for the entries found
+   */
+  fetch(keys) {
+    const listed = keys ? Promise.resolve(keys) : this.list(this.namespace)
+      .then((backendKeys) => backendKeys
+        .map((key) => key.slice(this.namespace.length))
+        .filter((key) => key.indexOf(REF_MARK) !== 0));
+    return listed.then((cacheKeys) => mapLimited(cacheKeys, (key) =>
+      Promise.resolve()
+        .then(() => this.backend.get(this.namespace + key))
+        .then((data) => {
+          if (!data) {
+            return null;
+          }
+          const value = entry.deserialize(data);
+          if (!entry.isValid(value)) {
+            throw new Error(`react-ssr-optimization: shared entry ${key} holds no valid markup`);
+          }
+          return {key: key, value: value};
+        })
+        .catch(this.onError("get", key))
+    )).then((found) => found.filter(Boolean));
+  }
+
+  // The references of the backend, by type and ref, along with the backend keys of the
+  // references to each entry
+  references() {
+    const prefix = this.namespace + REF_MARK;
+    return this.list(prefix).then((refKeys) => {
+      const refs = {};
+      const toKey = {};
+      refKeys.forEach((refKey) => {
+        const rest = refKey.slice(prefix.length);
+        const end = rest.indexOf(REF_MARK, 2);
+        const ref = rest.slice(0, end);
+        const key = rest.slice(end + 1);
+        (refs[ref] = refs[ref] || []).push(key);
+        (toKey[key] = toKey[key] || []).push(refKey);
+      });
+      return {refs: refs, toKey: toKey};
+    });
+  }
+
+  /**
+   * Deletes invalidated entries from the backend, so they are not read by the other
+   * processes or prefetched after a restart. The keys are deleted as they are, the entries
+   * composed from them, embedding them or referenced by the tags and the components are
+   * found when the backend lists its keys.
+   *
+   * @param {Object} invalidated the `keys`, `tags` and `components` invalidated
+   * @returns {Promise} resolves to the keys deleted
+   */
+  remove(invalidated) {
+    const keys = invalidated.keys || [];
+    if (!this.backend.del) {
+      return Promise.resolve().then(() => {
+        throw new Error("react-ssr-optimization: sharedCache does not implement del()");
+      }).catch(this.onError("del"));
+    }
+    const listed = this.backend.keys ? this.references()
+      : Promise.resolve({refs: {}, toKey: {}});
+    return listed.then((references) => {
+      const refsOf = (type, ref) => references.refs[`${type}${REF_MARK}${escapeRef(ref)}`] || [];
+      const deleted = [];
+      const found = Object.create(null);
+      const add = (key) => {
+        if (!found[key]) {
+          found[key] = true;
+          deleted.push(key);
+        }
+      };
+      keys.concat(...(invalidated.tags || []).map((tag) => refsOf("t", tag)),
+        ...(invalidated.components || []).map((cmpName) => refsOf("c", cmpName))).forEach(add);
+      // The entries embedding or composed from the entries deleted are deleted as well
+      for (let i = 0; i < deleted.length; i++) {
+        refsOf("k", deleted[i]).forEach(add);
+      }
+      const backendKeys = deleted.map((key) => this.namespace + key)
+        .concat(...deleted.map((key) => references.toKey[key] || []));
+      return mapLimited(backendKeys, (backendKey) => this.backend.del(backendKey))
+        .then(() => deleted);
+    }).catch(this.onError("del"));
+  }
+
+  /**
+   * Deletes all the entries of the backend, of all versions when it implements reset().
+   *
+   * @returns {Promise} resolved once they are deleted
+   */
+  reset() {
+    const pending = this.backend.reset ? Promise.resolve().then(() => this.backend.reset())
+      : this.list(this.namespace).then((backendKeys) => {
+        return mapLimited(backendKeys, (backendKey) => this.backend.del(backendKey));
+      });
+    return pending.catch(this.onError("reset"));
+  }
+}
+
+module.exports = SharedCache;
@@ -0,0 +1,61 @@
+"use strict";
+
+const fs = require("fs");
+const entry = require("./entry");
+const pkg = require("../package.json");
+
+const FORMAT = 3;
+
+/*
+ * Snapshots are JSON files holding the serialized cache entries along with the versions
+ * of this library and react-dom they were rendered with. Markup rendered by another
+ * version may not match what the current one renders, so such snapshots are rejected.
+ */
+
+/**
+ * Writes cache entries to a snapshot file.
+ *
+ * @param {string} file path of the snapshot file
+ * @param {Array} dump the cache entries in lru-cache `dump()` format (`[{k, v}]`)
+ * @param {string} reactVersion the react-dom version the entries were rendered with
+ * @returns {number} the number of entries written
+ */
+const save = (file, dump, reactVersion) => {
+  const entries = dump.map((hit) => {
+    const data = entry.serialize(hit.v);
+    data.key = hit.k;
+    return data;
+  });
+  fs.writeFileSync(file, JSON.stringify({
+    format: FORMAT,
+    version: pkg.version,
+    reactVersion: reactVersion,
+    entries: entries
+  }));
+  return entries.length;
+};
+
+/**
+ * Reads the cache entries of a snapshot file.
+ *
+ * @param {string} file path of the snapshot file
+ * @param {string} reactVersion the react-dom version in use
+ * @returns {Array} the entries as `{key, value}`, most recently used first
+ */
+const load = (file, reactVersion) => {
+  const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (snapshot.format !== FORMAT || snapshot.version !== pkg.version) {
+    throw new Error(`react-ssr-optimization: snapshot ${file} was saved by version ` +
+      `${snapshot.version} of the library, expected ${pkg.version}`);
+  }
+  if (snapshot.reactVersion !== reactVersion) {
+    throw new Error(`react-ssr-optimization: snapshot ${file} was saved with react-dom ` +
+      `${snapshot.reactVersion}, expected ${reactVersion}`);
+  }
+  return snapshot.entries.map((data) => ({key: data.key, value: entry.deserialize(data)}));
+};
+
+module.exports = {
+  save: save,
+  load: load
+};
@@ -0,0 +1,155 @@
+"use strict";
+
+const NS_PER_SEC = 1e9;
+const METRIC_PREFIX = "react_ssr_optimization_";
+
+const COUNTERS = ["hits", "misses", "bypasses", "evictions", "renderTimeNS",
+  "renderTimeSavedNS", "templateRenderTimeNS", "controls", "controlRenderTimeNS"];
+
+const toNanoseconds = (hrtime) => hrtime[0] * NS_PER_SEC + hrtime[1];
+
+const METRICS = [
+  {name: "cache_hits_total", type: "counter",
+    help: "Renders served from the cache.",
+    value: (s) => s.hits},
+  {name: "cache_misses_total", type: "counter",
+    help: "Renders that missed the cache.",
+    value: (s) => s.misses},
+  {name: "cache_bypasses_total", type: "counter",
+    help: "Renders not cached because the cache key was null.",
+    value: (s) => s.bypasses},
+  {name: "cache_evictions_total", type: "counter",
+    help: "Entries evicted or expired from the cache.",
+    value: (s) => s.evictions},
+  {name: "cache_hit_ratio", type: "gauge",
+    help: "Ratio of cache hits to cache lookups.",
+    value: (s) => s.hitRatio},
+  {name: "cache_stored_bytes", type: "gauge",
+    help: "Bytes of markup held in the cache.",
+    value: (s) => s.bytesStored},
+  {name: "render_seconds_total", type: "counter",
+    help: "Time spent rendering cache misses.",
+    value: (s) => s.renderTimeNS / NS_PER_SEC},
+  {name: "render_saved_seconds_total", type: "counter",
+    help: "Estimated render time saved by cache hits.",
+    value: (s) => s.renderTimeSavedNS / NS_PER_SEC},
+  {name: "template_render_seconds_total", type: "counter",
+    help: "Time spent restoring the templates and ids of cache hits.",
+    value: (s) => s.templateRenderTimeNS / NS_PER_SEC},
+  {name: "control_renders_total", type: "counter",
+    help: "Renders of the control group, not cached.",
+    value: (s) => s.controls},
+  {name: "control_render_seconds_total", type: "counter",
+    help: "Time spent rendering the control group.",
+    value: (s) => s.controlRenderTimeNS / NS_PER_SEC}
+];
+
+const escapeLabel = (value) => value.replace(/\\/g, "\\\\").replace(/"/g, "\\\"")
+  .replace(/\n/g, "\\n");
+
+/**
+ * Aggregates cache events per component.
+ */
+class StatsCollector {
+
+  constructor() {
+    this.reset();
+  }
+
+  // Resets the counters, the bytes stored are kept since the entries are still cached
+  reset() {
+    const previous = this.components || {};
+    this.components = {};
+    Object.keys(previous).forEach((cmpName) => {
+      if (previous[cmpName].bytesStored) {
+        this.component(cmpName).bytesStored = previous[cmpName].bytesStored;
+      }
+    });
+  }
+
+  component(cmpName) {
+    let stats = this.components[cmpName];
+    if (!stats) {
+      stats = this.components[cmpName] = {bytesStored: 0};
+      COUNTERS.forEach((counter) => {
+        stats[counter] = 0;
+      });
+    }
+    return stats;
+  }
+
+  // Without the render time of the entry, the time saved is estimated from the average
+  // render time of the component's misses
+  hit(cmpName, templateRenderTimeNS, renderTimeSavedNS) {
+    const stats = this.component(cmpName);
+    stats.hits++;
+    stats.templateRenderTimeNS += templateRenderTimeNS;
+    if (typeof renderTimeSavedNS === "number") {
+      stats.renderTimeSavedNS += renderTimeSavedNS;
+    } else if (stats.misses) {
+      stats.renderTimeSavedNS += Math.max(0,
+        stats.renderTimeNS / stats.misses - templateRenderTimeNS);
+    }
+  }
+
+  miss(cmpName, renderTimeNS) {
+    const stats = this.component(cmpName);
+    stats.misses++;
+    stats.renderTimeNS += renderTimeNS;
+  }
+
+  bypass(cmpName) {
+    this.component(cmpName).bypasses++;
+  }
+
+  control(cmpName, renderTimeNS) {
+    const stats = this.component(cmpName);
+    stats.controls++;
+    stats.controlRenderTimeNS += renderTimeNS;
+  }
+
+  stored(cmpName, bytes) {
+    this.component(cmpName).bytesStored += bytes;
+  }
+
+  removed(cmpName, bytes, evicted) {
+    const stats = this.component(cmpName);
+    stats.bytesStored = Math.max(0, stats.bytesStored - bytes);
+    if (evicted) {
+      stats.evictions++;
+    }
+  }
+
+  /**
+   * @returns {Object} the stats of each component by name, with their `hitRatio`
+   */
+  toJSON() {
+    const result = {};
+    Object.keys(this.components).forEach((cmpName) => {
+      const stats = result[cmpName] = Object.assign({}, this.components[cmpName]);
+      const lookups = stats.hits + stats.misses;
+      stats.hitRatio = lookups ? stats.hits / lookups : 0;
+    });
+    return result;
+  }
+
+  /**
+   * @returns {string} the stats in the Prometheus text exposition format
+   */
+  toPrometheus() {
+    const stats = this.toJSON();
+    const cmpNames = Object.keys(stats);
+    const lines = METRICS.map((metric) => {
+      const name = METRIC_PREFIX + metric.name;
+      return [`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`]
+        .concat(cmpNames.map((cmpName) =>
+          `${name}{component="${escapeLabel(cmpName)}"} ${metric.value(stats[cmpName])}`))
+        .join("\n");
+    });
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+StatsCollector.toNanoseconds = toNanoseconds;
+
+module.exports = StatsCollector;
@@ -0,0 +1,75 @@
+"use strict";
+
+const Readable = require("stream").Readable;
+const scope = require("./scope");
+
+/**
+ * Readable stream of the markup produced by a partial renderer (an object with
+ * `read(bytes)`, `exhausted` and optionally `destroy()`, like React 16's server renderer).
+ * The renderer is read one piece at a time so the markup of a memoized component is
+ * pushed as soon as it is rendered instead of waiting for a full chunk. The stream is read
+ * with the optimizer and the request of the render in progress when it is created.
+ * A renderer that throws is destroyed and its error emitted, as Readable#destroy needs node 8.
+ */
+class MemoizedMarkupStream extends Readable {
+
+  constructor(partialRenderer) {
+    super({});
+    this.partialRenderer = partialRenderer;
+    this.optimizer = scope.current();
+    this.request = scope.request();
+  }
+
+  _destroy(err, callback) {
+    this.destroyRenderer();
+    callback(err);
+  }
+
+  destroyRenderer() {
+    if (this.partialRenderer.destroy) {
+      this.partialRenderer.destroy();
+    }
+  }
+
+  _read(size) {
+    if (this.optimizer === undefined) {
+      this.readChunk(size);
+    } else {
+      scope.run(this.optimizer, () => this.readChunk(size), this.request);
+    }
+  }
+
+  readChunk(size) {
+    let chunk;
+    try {
+      chunk = this.readRenderer(size);
+    } catch (err) {
+      this.destroyRenderer();
+      this.emit("error", err);
+      return;
+    }
+    if (chunk) {
+      this.push(chunk);
+    }
+    if (this.partialRenderer.exhausted) {
+      this.push(null);
+    }
+  }
+
+  // Reads up to size characters, fewer when memoized markup asks to be flushed
+  readRenderer(size) {
+    const renderer = this.partialRenderer;
+    let chunk = "";
+    while (chunk.length < size && !renderer.exhausted) {
+      chunk += renderer.read(1) || "";
+      const flush = renderer.__flushMarkup;
+      renderer.__flushMarkup = false;
+      if (flush && chunk) {
+        break;
+      }
+    }
+    return chunk;
+  }
+}
+
+module.exports = MemoizedMarkupStream;
@@ -0,0 +1,65 @@
+"use strict";
+
+const NS_PER_MS = 1e6;
+const TENTHS_PER_MS = 10;
+
+const OUTCOMES = ["hits", "misses", "bypasses", "controls"];
+
+const MEASURES = ["bytesFromCache", "renderTimeNS", "templateRenderTimeNS", "savedTimeNS",
+  "controlRenderTimeNS"];
+
+/*
+ * Summaries of the cached components of a render, e.g. of the page of a request. The
+ * render time of misses includes the render time of the misses nested in them, like the
+ * renderTimeNS of the stats.
+ */
+
+/**
+ * @param {Object} context the render context of the render, e.g. its request id and route
+ * @returns {Object} an empty summary
+ */
+const create = (context) => {
+  const summary = {context: context, components: {}};
+  OUTCOMES.concat(MEASURES).forEach((name) => {
+    summary[name] = 0;
+  });
+  return summary;
+};
+
+/**
+ * Adds the render of a cached component to a summary.
+ *
+ * @param {Object} summary the summary
+ * @param {string} cmpName the name of the component
+ * @param {Object} render the `outcome` of the render, one of hits, misses, bypasses and
+ * controls, and its measures, e.g. `renderTimeNS`
+ * @returns {undefined}
+ */
+const add = (summary, cmpName, render) => {
+  const component = summary.components[cmpName] = summary.components[cmpName] || {};
+  component[render.outcome] = (component[render.outcome] || 0) + 1;
+  summary[render.outcome]++;
+  MEASURES.filter((name) => typeof render[name] === "number").forEach((name) => {
+    summary[name] += render[name];
+  });
+};
+
+const milliseconds = (ns) => Math.round(ns / NS_PER_MS * TENTHS_PER_MS) / TENTHS_PER_MS;
+
+/**
+ * @param {Object} summary the summary of a render
+ * @returns {string} the value of a `Server-Timing` header with the hits and the time
+ * restoring them, the misses and the time rendering them, and the time saved
+ */
+const toServerTiming = (summary) => [
+  `cache-hit;desc="${summary.hits} hits, ${summary.bytesFromCache} bytes";` +
+    `dur=${milliseconds(summary.templateRenderTimeNS)}`,
+  `cache-miss;desc="${summary.misses} misses";dur=${milliseconds(summary.renderTimeNS)}`,
+  `cache-saved;dur=${milliseconds(summary.savedTimeNS)}`
+].join(", ");
+
+module.exports = {
+  create: create,
+  add: add,
+  toServerTiming: toServerTiming
+};
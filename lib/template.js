@@ -0,0 +1,237 @@
+"use strict";
+
+const crypto = require("crypto");
+const get = require("lodash/get");
+const set = require("lodash/set");
+const isArray = require("lodash/isArray");
+const isPlainObject = require("lodash/isPlainObject");
+
+/*
+ * Template attributes are replaced in props by tokens before the component renders, and
+ * the markup is compiled into parts: strings of markup and slots where a token was
+ * rendered. Each slot knows the path of its value in props and the context it was
+ * rendered in, text, attribute or style, so the values are escaped the way React
+ * would have rendered them when they are restored. The tokens hold a random nonce
+ * generated by each process, so no content can be mistaken for a token. The slots of a
+ * component are numbered after the ones of the components rendering it, whose tokens its
+ * markup may hold.
+ * Repeated sections, see ./repeat, add parts holding the templates of array items.
+ */
+
+const NONCE_BYTES = 8;
+const NONCE = crypto.randomBytes(NONCE_BYTES).toString("hex");
+const TOKEN_PATTERN = new RegExp(`__rso${NONCE}_(\\d+)__`, "g");
+
+const ATTRIBUTE_VALUE = /\s([^\s"'=<>\/]+)="([^"]*)$/;
+const STYLE_DECLARATION = /(?:^|;)\s*([^:;]+):$/;
+
+const token = (slot) => `__rso${NONCE}_${slot}__`;
+
+/**
+ * Replaces the leaves of a value of props with tokens, recording the path and the value
+ * of each in `state.slots`. Arrays add their length to `state.arrays`, and booleans, null
+ * and undefined, which are not rendered, add their value.
+ *
+ * @param {Object} props the props, modified in place
+ * @param {Array} path the path of the value in props
+ * @param {*} value the value
+ * @param {Object} state the `slots` and `arrays`, the `first` number of the slots, the
+ * `base` length of the paths added to arrays and a `keep(path)` function telling the paths
+ * left untouched
+ * @returns {undefined}
+ */
+const templatize = (props, path, value, state) => { // eslint-disable-line max-params
+  const relativePath = path.slice(state.base || 0);
+  if (state.keep && state.keep(relativePath)) {
+    return;
+  }
+  if (isPlainObject(value)) {
+    Object.keys(value).forEach((key) => {
+      templatize(props, path.concat(key), value[key], state);
+    });
+  } else if (isArray(value)) {
+    state.arrays.push(`a.${relativePath.join(".")}_${value.length}`);
+    for (let i = 0; i < value.length; i++) {
+      templatize(props, path.concat(i), value[i], state);
+    }
+  } else if (value === null || value === undefined || typeof value === "boolean") {
+    // Values rendering nothing are conditions, the key holds them instead
+    state.arrays.push(`a.${relativePath.join(".")}=${value}`);
+  } else {
+    set(props, path, token((state.first || 0) + state.slots.length));
+    state.slots.push({path: path, value: value});
+  }
+};
+
+/**
+ * @param {Object} props the props with tokens
+ * @param {Array} slots the slots recorded by templatize
+ * @returns {undefined}
+ */
+const restore = (props, slots) => {
+  slots.forEach((slot) => set(props, slot.path, slot.value));
+};
+
+/**
+ * @param {string} markup markup rendered with template tokens
+ * @param {number} first the number of the first slot of the component
+ * @returns {Array} the `slot`, relative to first, `start` and `end` of the tokens of the
+ * markup, without the tokens of the components rendering it
+ */
+const tokensOf = (markup, first) => {
+  const tokens = [];
+  markup.replace(TOKEN_PATTERN, (match, slot, index) => {
+    const relative = parseInt(slot, 10) - (first || 0);
+    if (relative >= 0) {
+      tokens.push({slot: relative, start: index, end: index + match.length});
+    }
+    return match;
+  });
+  return tokens;
+};
+
+// The style property names of the markup are hyphenated, React looks them up camelized
+const camelizeStyleName = (name) => name.replace(/^-ms-/, "ms-")
+  .replace(/-(.)/g, (match, character) => character.toUpperCase());
+
+// The context of a token at index, ending at end, from the markup that precedes it.
+// React escapes < and > in text and attribute values, so the last < or > tells whether
+// the token is in a tag.
+const contextOf = (markup, index, end) => {
+  const tagStart = markup.lastIndexOf("<", index);
+  if (tagStart <= markup.lastIndexOf(">", index)) {
+    return {context: "text"};
+  }
+  const attribute = ATTRIBUTE_VALUE.exec(markup.slice(tagStart, index));
+  const name = attribute ? attribute[1].toLowerCase() : "";
+  if (name === "style") {
+    // Only a whole declaration value is processed as a style value by React
+    const declaration = STYLE_DECLARATION.exec(attribute[2]);
+    if (declaration && (markup[end] === ";" || markup[end] === "\"")) {
+      return {context: "style", property: declaration[1].trim()};
+    }
+  }
+  return {context: "attribute"};
+};
+
+/**
+ * @param {string} markup markup rendered with template tokens
+ * @param {Function} slotPart returns the `path` of the value of a slot, and `root: true`
+ * for paths of props within the templates of repeated items, or null for tokens that are
+ * not slots of the render
+ * @param {number} first the number of the first slot of the component
+ * @returns {Array} the parts of the markup, strings and `{path, context, property}`
+ */
+const compile = (markup, slotPart, first) => {
+  const parts = [];
+  let last = 0;
+  tokensOf(markup, first).forEach((found) => {
+    const part = slotPart(found.slot);
+    if (part) {
+      parts.push(markup.slice(last, found.start));
+      parts.push(Object.assign(part, contextOf(markup, found.start, found.end)));
+      last = found.end;
+    }
+  });
+  parts.push(markup.slice(last));
+  return parts;
+};
+
+const escapeValue = (part, value, adapter) => {
+  switch (part.context) {
+  case "style":
+    return adapter.escapeTextContentForBrowser(adapter.styleValue(part.property, value));
+  case "text":
+    // React renders nothing for these children, which were rendered as a token
+    return value === null || value === undefined || typeof value === "boolean" ? ""
+      : adapter.escapeTextContentForBrowser(value);
+  default:
+    return adapter.escapeTextContentForBrowser(value === null || value === undefined ? ""
+      : value);
+  }
+};
+
+// Renders parts with the values of source, props for the paths of the root
+const renderParts = (parts, source, scope) => {
+  let markup = "";
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    if (typeof part === "string") {
+      markup += part;
+    } else if (part.section) {
+      markup += renderItems(part, scope); // eslint-disable-line no-use-before-define
+    } else {
+      markup += escapeValue(part, get(part.root ? scope.props : source, part.path),
+        scope.adapter);
+    }
+  }
+  return markup;
+};
+
+// The first item is part of the markup preceding the section
+const renderItems = (part, scope) => {
+  const list = scope.lists[part.section];
+  const items = get(scope.props, list.path);
+  let markup = "";
+  for (let i = 1; i < items.length; i++) {
+    markup += renderParts(part.items[list.variants[i]], items[i], scope);
+  }
+  return markup;
+};
+
+const isSection = (part) => Boolean(part.section);
+
+/**
+ * @param {Array} parts the compiled markup
+ * @param {Object} props the props holding the values of the slots
+ * @param {Object} adapter the renderer adapter escaping the values
+ * @param {Object} lists the repeated sections of props, by attribute
+ * @returns {string} the markup with the escaped values
+ */
+const render = (parts, props, adapter, lists) => { // eslint-disable-line max-params
+  const markup = renderParts(parts, props, {props: props, adapter: adapter, lists: lists});
+  return parts.some(isSection) && adapter.renumberIds ? adapter.renumberIds(markup) : markup;
+};
+
+/**
+ * @param {Array} parts the compiled markup
+ * @param {Object} lists the repeated sections of props, by attribute
+ * @returns {boolean} whether the parts hold the templates of every repeated item
+ */
+const covers = (parts, lists) => {
+  return !parts || parts.filter(isSection).every((part) => {
+    const list = lists[part.section];
+    return Boolean(list) && list.variants.every((variant, i) => i === 0
+      || Boolean(part.items[variant]));
+  });
+};
+
+/**
+ * @param {*} parts compiled markup read from outside the process
+ * @returns {boolean} whether the parts are strings, slots and repeated sections of parts
+ */
+const isCompiled = (parts) => isArray(parts) && parts.every((part) => {
+  if (typeof part === "string") {
+    return true;
+  }
+  if (!isPlainObject(part)) {
+    return false;
+  }
+  if (part.section) {
+    return isPlainObject(part.items)
+      && Object.keys(part.items).every((variant) => isCompiled(part.items[variant]));
+  }
+  return isArray(part.path) && typeof part.context === "string";
+});
+
+module.exports = {
+  token: token,
+  camelizeStyleName: camelizeStyleName,
+  templatize: templatize,
+  restore: restore,
+  tokensOf: tokensOf,
+  compile: compile,
+  render: render,
+  covers: covers,
+  isCompiled: isCompiled
+};
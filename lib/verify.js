@@ -0,0 +1,87 @@
+"use strict";
+
+const DIFF_CONTEXT = 40;
+
+const CHECKSUM = / data-react-checksum="([^"]*)"/;
+
+/*
+ * Shadow rendering compares the markup of sampled cache hits to the markup the component
+ * actually renders, to find cache keys that miss a prop the markup depends on. Markup is
+ * compared without the ids and the markers that depend on the position of the component.
+ * Hydration checks compare whole pages to the page rendered without the cache, ids and
+ * checksums included, since the client renders them.
+ */
+
+const ID_PATTERNS = [
+  [/ data-reactid="[^"]*"/g, ""],
+  [/ data-reactroot=""/g, ""],
+  [/ data-react-checksum="[^"]*"/g, ""],
+  [/<!-- react-text: [^ ]* -->/g, "<!-- react-text -->"],
+  [/<!-- -->/g, ""]
+];
+
+const normalize = (markup) => ID_PATTERNS.reduce(
+  (result, pattern) => result.replace(pattern[0], pattern[1]), markup || "");
+
+/**
+ * @param {string} expected the expected markup
+ * @param {string} actual the markup to compare
+ * @returns {Object} null when the markups are equal, otherwise the `offset` of the first
+ * difference and the differing part of the `expected` and `actual` markup, with a few
+ * characters of context
+ */
+const compare = (expected, actual) => {
+  if (expected === actual) {
+    return null;
+  }
+  let start = 0;
+  while (start < expected.length && expected[start] === actual[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < expected.length - start && end < actual.length - start &&
+    expected[expected.length - 1 - end] === actual[actual.length - 1 - end]) {
+    end++;
+  }
+  const from = Math.max(0, start - DIFF_CONTEXT);
+  const to = Math.max(0, end - DIFF_CONTEXT);
+  return {
+    offset: start,
+    expected: expected.slice(from, expected.length - to),
+    actual: actual.slice(from, actual.length - to)
+  };
+};
+
+/**
+ * @param {string} expected the markup rendered by the component
+ * @param {string} actual the markup restored from the cache
+ * @returns {Object} null when the markups match without their ids, otherwise the
+ * difference, see compare
+ */
+const diff = (expected, actual) => compare(normalize(expected), normalize(actual));
+
+/**
+ * @param {string} markup the markup of a page
+ * @returns {string} the data-react-checksum of React 15 and earlier, null without one
+ */
+const checksumOf = (markup) => {
+  const found = CHECKSUM.exec(markup);
+  return found ? found[1] : null;
+};
+
+/**
+ * @param {Object|boolean} config the `verify` config, `true` or `{sampleRate}`
+ * @returns {Function} tells whether the next cache hit should be verified
+ */
+const sampler = (config) => {
+  const sampleRate = config && typeof config.sampleRate === "number" ? config.sampleRate : 1;
+  return () => Math.random() < sampleRate;
+};
+
+module.exports = {
+  normalize: normalize,
+  compare: compare,
+  diff: diff,
+  checksumOf: checksumOf,
+  sampler: sampler
+};
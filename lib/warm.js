@@ -0,0 +1,46 @@
+"use strict";
+
+/**
+ * Renders components with representative props so their markup is cached before the
+ * server accepts traffic. Rendering goes through ReactDOMServer, so nested cached
+ * components and template entries are filled the same way as during a request.
+ *
+ * @param {Object} optimizer the optimizer whose cache is filled
+ * @param {Array} fixtures a list of `{component, props, staticMarkup}` where `props` is a
+ * list of props and `staticMarkup` overrides the option of the same name for the fixture
+ * @param {Object} options optional settings, with `staticMarkup` the components are
+ * rendered with renderToStaticMarkup, filling the entries rendered without ids
+ * @returns {Object} the number of `entries` created and, per component name, how many
+ * renders `succeeded` and `failed` with the `errors` of the failed ones
+ */
+const warm = (optimizer, fixtures, options) => {
+  const React = require("react"); // eslint-disable-line global-require
+  const ReactDOMServer = require("react-dom/server"); // eslint-disable-line global-require
+  const entriesBefore = optimizer.entriesStored;
+  const components = {};
+
+  fixtures.forEach((fixture) => {
+    const name = fixture.component.displayName || fixture.component.name;
+    const result = components[name] = components[name] || {succeeded: 0, failed: 0, errors: []};
+    const staticMarkup = fixture.staticMarkup !== undefined ? fixture.staticMarkup
+      : Boolean(options && options.staticMarkup);
+    const render = staticMarkup ? ReactDOMServer.renderToStaticMarkup
+      : ReactDOMServer.renderToString;
+    (fixture.props || [{}]).forEach((props) => {
+      try {
+        render(React.createElement(fixture.component, props));
+        result.succeeded++;
+      } catch (err) {
+        result.failed++;
+        result.errors.push(err);
+      }
+    });
+  });
+
+  return {
+    entries: optimizer.entriesStored - entriesBefore,
+    components: components
+  };
+};
+
+module.exports = warm;
@@ -0,0 +1,81 @@
+"use strict";
+
+const reactComponentCache = require("..");
+
+/*
+ * Helpers shared by the specs. Each optimizer hooks the react modules loaded after it is
+ * created, so the specs clear the require cache and load react again for each setup.
+ */
+
+const clearRequireCache = function () {
+  Object.keys(require.cache).forEach(
+    function (key) {
+      delete require.cache[key];
+    }
+  );
+};
+
+// Creates an optimizer and loads the react modules it hooks. `component(name, render)`
+// creates a component counting its renders in `renderCounts`, render is called with the
+// component and React and defaults to the text in a div. `createComponent(name, render)`
+// returns a function rendering such a component to static markup.
+const setup = function (config) {
+  clearRequireCache();
+  const ref = reactComponentCache(config);
+  const React = require("react");
+  const ReactDomServer = require("react-dom/server");
+  const renderCounts = {};
+  const component = function (name, render) {
+    const Component = class extends React.Component {
+      render() {
+        renderCounts[name] = (renderCounts[name] || 0) + 1;
+        return render ? render.call(this, React) : React.createElement("div", null, this.props.text);
+      }
+    };
+    Component.displayName = name;
+    return Component;
+  };
+  const createComponent = function (name, render) {
+    const Component = component(name, render);
+    return (props) => ReactDomServer.renderToStaticMarkup(React.createElement(Component, props));
+  };
+  return {
+    ref: ref,
+    React: React,
+    ReactDomServer: ReactDomServer,
+    renderCounts: renderCounts,
+    component: component,
+    createComponent: createComponent
+  };
+};
+
+// Sets up an optimizer rendering a HelloWorld component, counting its renders
+const setupHelloWorld = function (config) {
+  const env = setup(config);
+  const React = env.React;
+  const counts = {render: 0};
+  class HelloWorld extends React.Component {
+    render() {
+      counts.render++;
+      return React.createElement("div", null, this.props.text);
+    }
+  }
+  const render = (text) => env.ReactDomServer.renderToStaticMarkup(
+    React.createElement(HelloWorld, {text: text}));
+  return {ref: env.ref, render: render, counts: counts};
+};
+
+// Waits for the clock to move so entries created next are newer than an invalidation
+const nextMillisecond = function () {
+  const now = Date.now();
+  while (Date.now() === now) {
+    // busy wait
+  }
+};
+
+module.exports = {
+  clearRequireCache: clearRequireCache,
+  setup: setup,
+  setupHelloWorld: setupHelloWorld,
+  nextMillisecond: nextMillisecond
+};
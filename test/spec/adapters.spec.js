@@ -0,0 +1,170 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const reactComponentCache = require("../..");
+const adapters = require("../../lib/adapters");
+const helper = require("../helper");
+
+const REACT_MAJOR_VERSION = parseInt(require("react-dom/package.json").version, 10);
+
+describe("renderer adapters", function () {
+  it("should select the adapter matching the installed react-dom", () => {
+    const expected = REACT_MAJOR_VERSION >= 16 ? "react16" : "react15";
+    expect(adapters.select().name).to.equal(expected);
+  });
+
+  it("should select adapters by name", () => {
+    expect(adapters.select("react15")).to.equal(adapters.react15);
+    expect(adapters.select("react16")).to.equal(adapters.react16);
+  });
+
+  it("should throw for unknown adapter names", () => {
+    expect(() => adapters.select("preact")).to.throw(/unknown renderer "preact"/);
+  });
+
+  it("should report supported react versions", () => {
+    expect(adapters.react15.supports("0.14.8")).to.be.false;
+    expect(adapters.react15.supports("15.7.0")).to.be.true;
+    expect(adapters.react15.supports("16.14.0")).to.be.false;
+    expect(adapters.react16.supports("16.0.0")).to.be.true;
+    expect(adapters.react16.supports("17.0.2")).to.be.true;
+    expect(adapters.react16.supports("18.2.0")).to.be.false;
+  });
+
+  it("should install a custom adapter passed as renderer", () => {
+    let installedWith;
+    const ref = reactComponentCache({
+      components: {"HelloWorld": function (props) {return props.text;}},
+      renderer: {
+        name: "custom",
+        escapeTextContentForBrowser: (text) => text,
+        install: (optimizer) => {
+          installedWith = optimizer;
+        }
+      }
+    });
+    expect(installedWith).to.equal(ref);
+    expect(ref.adapter.name).to.equal("custom");
+  });
+
+  it("should render cached markup through the renderComponent hook", () => {
+    const ref = reactComponentCache({
+      components: {"HelloWorld": {templateAttrs: ["text"]}},
+      renderer: {
+        name: "custom",
+        escapeTextContentForBrowser: (text) => text,
+        install: () => {}
+      }
+    });
+    function HelloWorld() {}
+    const restoreIds = (markup) => markup;
+    let mountCount = 0;
+    const mount = (el) => () => {
+      mountCount++;
+      return `<div>${el.props.text}</div>`;
+    };
+    const el1 = {type: HelloWorld, props: {text: "X"}};
+    const el2 = {type: HelloWorld, props: {text: "Y"}};
+
+    expect(ref.shouldComponentBeCached(el1)).to.be.true;
+    expect(ref.shouldComponentBeCached({type: "div", props: {}})).to.be.false;
+    expect(ref.renderComponent(el1, mount(el1), null, restoreIds)).to.equal("<div>X</div>");
+    expect(ref.renderComponent(el2, mount(el2), null, restoreIds)).to.equal("<div>Y</div>");
+    expect(mountCount).to.equal(1);
+    expect(el2.props.text).to.equal("Y");
+  });
+});
+
+describe("react15 adapter", function () {
+  const splitIds = adapters.react15.splitIds;
+
+  it("should split React 15 markup around its numbered ids", () => {
+    const markup = "<p data-reactroot=\"\" data-reactid=\"3\"><!-- react-text: 4 -->a<!-- /react-text -->" +
+      "<!-- react-empty: 5 --></p>";
+
+    expect(splitIds(markup, null)).to.deep.equal([
+      "<p data-reactid=\"", "\"><!-- react-text: ", " -->a<!-- /react-text --><!-- react-empty: ", " --></p>"
+    ]);
+  });
+});
+
+(REACT_MAJOR_VERSION >= 16 ? describe : describe.skip)("react16 adapter", function () {
+  const setup = (config) => {
+    const env = helper.setup(config);
+    const React = env.React;
+    const ReactDomServer = env.ReactDomServer;
+    const counts = {render: 0};
+    class HelloWorld extends React.Component {
+      render() {
+        counts.render++;
+        return React.createElement("div", {title: this.props.text}, this.props.text);
+      }
+    }
+    return {React, ReactDomServer, HelloWorld, counts};
+  };
+
+  it("should cache components rendered by the partial renderer", () => {
+    const env = setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}});
+    const React = env.React;
+    const render = (text) => env.ReactDomServer.renderToString(
+      React.createElement("section", null, "before", React.createElement(env.HelloWorld, {text: text})));
+
+    expect(render("X")).to.equal("<section data-reactroot=\"\">before<div title=\"X\">X</div></section>");
+    expect(env.counts.render).to.equal(1);
+    expect(render("X")).to.equal("<section data-reactroot=\"\">before<div title=\"X\">X</div></section>");
+    expect(env.counts.render).to.equal(1);
+    expect(render("Y")).to.contains("Y");
+    expect(env.counts.render).to.equal(2);
+  });
+
+  it("should only mark cached markup as root when rendered at the root", () => {
+    const env = setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}});
+    const React = env.React;
+    const root = env.ReactDomServer.renderToString(React.createElement(env.HelloWorld, {text: "X"}));
+    const nested = env.ReactDomServer.renderToString(
+      React.createElement("p", null, React.createElement(env.HelloWorld, {text: "X"})));
+    const staticMarkup = env.ReactDomServer.renderToStaticMarkup(React.createElement(env.HelloWorld, {text: "X"}));
+
+    expect(root).to.equal("<div title=\"X\" data-reactroot=\"\">X</div>");
+    expect(nested).to.equal("<p data-reactroot=\"\"><div title=\"X\">X</div></p>");
+    expect(staticMarkup).to.equal("<div title=\"X\">X</div>");
+    // static markup is cached separately
+    expect(env.counts.render).to.equal(2);
+  });
+
+  it("should separate cached text from preceding text nodes", () => {
+    const env = setup({components: {"Text": {cacheAttrs: ["text"]}}});
+    const React = env.React;
+    const Text = (props) => props.text;
+    const render = () => env.ReactDomServer.renderToString(
+      React.createElement("p", null, "a", React.createElement(Text, {text: "b"}), "c"));
+
+    expect(render()).to.equal("<p data-reactroot=\"\">a<!-- -->b<!-- -->c</p>");
+    expect(render()).to.equal("<p data-reactroot=\"\">a<!-- -->b<!-- -->c</p>");
+  });
+
+  it("should templatize cached components", () => {
+    const env = setup({components: {"HelloWorld": {templateAttrs: ["text"]}}});
+    const React = env.React;
+    const render = (text) => env.ReactDomServer.renderToStaticMarkup(React.createElement(env.HelloWorld, {text: text}));
+
+    expect(render("X")).to.equal("<div title=\"X\">X</div>");
+    expect(render("<Y>")).to.equal("<div title=\"&lt;Y&gt;\">&lt;Y&gt;</div>");
+    expect(env.counts.render).to.equal(1);
+  });
+
+  it("should pass context provider values into cached components", () => {
+    const env = setup({components: {"Themed": {cacheAttrs: ["text"]}}});
+    const React = env.React;
+    const Theme = React.createContext("light");
+    const Themed = (props) => React.createElement(Theme.Consumer, null, (theme) => `${props.text}:${theme}`);
+    const markup = env.ReactDomServer.renderToStaticMarkup(
+      React.createElement(Theme.Provider, {value: "dark"}, React.createElement("p", null, React.createElement(Themed, {text: "X"}))));
+
+    expect(markup).to.equal("<p>X:dark</p>");
+    expect(env.ReactDomServer.renderToStaticMarkup(React.createElement(Theme.Consumer, null, (theme) => theme))).to.equal("light");
+  });
+});
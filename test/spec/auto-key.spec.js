@@ -0,0 +1,164 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const chai = require("chai");
+const expect = chai.expect;
+const reactComponentCache = require("../..");
+const helper = require("../helper");
+
+describe("auto keys", function () {
+  let React;
+  let ReactDomServer;
+  let renderCount;
+  let events;
+
+  const setup = function (cacheConfig) {
+    renderCount = 0;
+    events = [];
+    const env = helper.setup({
+      components: {"ProductTile": cacheConfig},
+      eventCallback: (e) => events.push(e)
+    });
+    React = env.React;
+    ReactDomServer = env.ReactDomServer;
+    return env.ref;
+  };
+
+  const createComponent = function (render, contextTypes) {
+    const ProductTile = class extends React.Component {
+      render() {
+        renderCount++;
+        return render.call(this);
+      }
+    };
+    ProductTile.displayName = "ProductTile";
+    ProductTile.contextTypes = contextTypes;
+    const renderTile = (props) => ReactDomServer.renderToStaticMarkup(React.createElement(ProductTile, props));
+    renderTile.ProductTile = ProductTile;
+    return renderTile;
+  };
+
+  const renderProduct = function () {
+    return React.createElement("div", null, this.props.product.id, " ", this.props.label);
+  };
+
+  it("should derive the cache key from the props read by render", (done) => {
+    const ref = setup({autoKey: true});
+    const productTile = createComponent(renderProduct);
+
+    productTile({product: {id: 1, name: "Chair"}, label: "new"});
+    productTile({product: {id: 1, name: "Chair"}, label: "new"});
+    expect(productTile({product: {id: 1, name: "Desk"}, label: "new"})).to.equal("<div>1 new</div>");
+    expect(productTile({product: {id: 2, name: "Desk"}, label: "new"})).to.equal("<div>2 new</div>");
+    expect(productTile({product: {id: 1, name: "Desk"}, label: "sale"})).to.equal("<div>1 sale</div>");
+    expect(renderCount).to.equal(4);
+    expect(ref.cacheLength()).to.equal(3);
+    process.nextTick(() => {
+      expect(events.filter((e) => e.type === "autoKey")).to.deep.equal([
+        {type: "autoKey", event: "learned", cmpName: "ProductTile", paths: ["props.product", "props.label", "props.product.id"]}
+      ]);
+      done();
+    });
+  });
+
+  it("should not cache renders reading props outside the key", (done) => {
+    setup({autoKey: true});
+    const productTile = createComponent(function () {
+      return React.createElement("div", null, this.props.onSale ? this.props.price : "-");
+    });
+
+    productTile({onSale: false, price: 10});
+    productTile({onSale: false, price: 10});
+    expect(productTile({onSale: true, price: 10})).to.equal("<div>10</div>");
+    expect(productTile({onSale: true, price: 20})).to.equal("<div>20</div>");
+    expect(productTile({onSale: false, price: 20})).to.equal("<div>-</div>");
+    expect(renderCount).to.equal(4);
+    process.nextTick(() => {
+      expect(events.filter((e) => e.event === "diverged")).to.deep.equal([
+        {type: "autoKey", event: "diverged", cmpName: "ProductTile", paths: ["props.onSale", "props.price"]},
+        {type: "autoKey", event: "diverged", cmpName: "ProductTile", paths: ["props.onSale", "props.price"]}
+      ]);
+      done();
+    });
+  });
+
+  it("should derive the cache key from the legacy context read by render", () => {
+    setup({autoKey: true});
+    const productTile = createComponent(function () {
+      return React.createElement("div", null, this.context.locale);
+    }, {locale: () => null});
+    const Provider = class extends React.Component {
+      getChildContext() {
+        return {locale: this.props.locale};
+      }
+      render() {
+        return React.createElement("section", null, React.createElement(productTile.ProductTile));
+      }
+    };
+    Provider.childContextTypes = {locale: () => null};
+    const render = (locale) => ReactDomServer.renderToStaticMarkup(React.createElement(Provider, {locale: locale}));
+
+    render("en");
+    render("en");
+    render("en");
+    render("fr");
+    expect(renderCount).to.equal(3);
+  });
+
+  it("should leave ignored paths and template attributes out of the key", () => {
+    const ref = setup({autoKey: {ignore: ["product.name"]}, templateAttrs: ["label"]});
+    const productTile = createComponent(function () {
+      return React.createElement("div", {title: this.props.product.name}, this.props.product.id, " ", this.props.label);
+    });
+
+    productTile({product: {id: 1, name: "Chair"}, label: "new"});
+    productTile({product: {id: 1, name: "Chair"}, label: "new"});
+    expect(productTile({product: {id: 1, name: "Desk"}, label: "sale"})).to.equal("<div title=\"Chair\">1 sale</div>");
+    expect(renderCount).to.equal(2);
+    expect(ref.cacheDump().map((hit) => hit.k)).to.deep.equal(["ProductTile:{},1:"]);
+  });
+
+  it("should not save or share the entries of keys holding identities", () => {
+    const file = path.join(os.tmpdir(), `react-ssr-optimization-auto-key-${process.pid}.json`);
+    const shared = reactComponentCache.createMemoryCache();
+    const env = helper.setup({
+      components: {"ProductTile": {autoKey: true}},
+      sharedCache: shared
+    });
+    const ref = env.ref;
+    React = env.React;
+    ReactDomServer = env.ReactDomServer;
+    const Icon = () => React.createElement("i");
+    const productTile = createComponent(function () {
+      return React.createElement("div", null, this.props.icon, this.props.label);
+    });
+
+    productTile({icon: React.createElement(Icon), label: "a"});
+    productTile({icon: React.createElement(Icon), label: "a"});
+    productTile({icon: null, label: "#1"});
+    productTile({icon: null, label: "#1"});
+    expect(ref.cacheLength()).to.equal(2);
+    try {
+      expect(ref.cacheSave(file)).to.equal(1);
+    } finally {
+      fs.unlinkSync(file);
+    }
+    return new Promise((resolve) => setTimeout(resolve, 10)).then(() => shared.keys()).then((keys) => {
+      const entryKeys = keys.filter((key) => key.indexOf("~") === -1);
+      expect(entryKeys.map((key) => key.slice(key.indexOf("ProductTile:")))).to.deep.equal(["ProductTile:null,\"#1\":"]);
+    });
+  });
+
+  it("should return the same value for repeated reads", () => {
+    setup({autoKey: true});
+    const productTile = createComponent(function () {
+      return React.createElement("div", null, String(this.props.product === this.props.product));
+    });
+
+    expect(productTile({product: {id: 1}})).to.equal("<div>true</div>");
+  });
+});
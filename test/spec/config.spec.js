@@ -0,0 +1,113 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const reactComponentCache = require("../..");
+const helper = require("../helper");
+
+describe("config validation", function () {
+  const validateConfig = reactComponentCache.validateConfig;
+
+  it("should report the values of the wrong type with their paths", () => {
+    const report = validateConfig({
+      components: new Map([
+        ["Header", {cacheAttrs: "id", repeatAttrs: [{cacheAttrs: ["kind"]}]}],
+        [/Tile$/, "title"]
+      ]),
+      cacheImpl: {get: () => null},
+      verify: {sampleRate: 2},
+      renderer: "react18"
+    });
+
+    expect(report.errors).to.deep.equal([
+      {path: "config.components.get(Header).cacheAttrs", message: "must be array, got string"},
+      {path: "config.components.get(Header).repeatAttrs[0].attr", message: "is required"},
+      {path: "config.components.get(/Tile$/)", message: "must be function or object, got string"},
+      {path: "config.cacheImpl.set", message: "is required"},
+      {path: "config.verify.sampleRate", message: "must be a number between 0 and 1"},
+      {path: "config.renderer", message: "must be \"react15\", \"react16\" or an adapter object"}
+    ]);
+    expect(report.warnings).to.deep.equal([]);
+  });
+
+  it("should suggest the options closest to unknown options", () => {
+    const report = validateConfig({
+      components: [{type: "Header", templateAtrs: ["title"]}, {cacheAttrs: ["id"]}],
+      lruCacheSetings: {max: 10}
+    });
+
+    expect(report.errors).to.deep.equal([
+      {path: "config.components[1]", message: "needs a type or a test"}
+    ]);
+    expect(report.warnings).to.deep.equal([
+      {path: "config.components[0].templateAtrs", message: "is not an option, did you mean \"templateAttrs\"?"},
+      {path: "config.lruCacheSetings", message: "is not an option, did you mean \"lruCacheSettings\"?"}
+    ]);
+  });
+
+  it("should throw the errors of the config of an optimizer", () => {
+    const create = () => reactComponentCache({
+      components: {"Header": {cacheKeyGen: "id", maxEntries: -1}},
+      eventCallback: true
+    });
+
+    expect(create).to.throw(/invalid config\nconfig.components.Header.cacheKeyGen must be function/);
+    try {
+      create();
+    } catch (err) {
+      expect(err.errors.map((problem) => problem.path)).to.deep.equal([
+        "config.components.Header.cacheKeyGen",
+        "config.components.Header.maxEntries",
+        "config.eventCallback"
+      ]);
+    }
+  });
+
+  it("should accept configs normalized by an optimizer", () => {
+    const config = {
+      components: {
+        "Header": {autoKey: {ignore: ["user"]}},
+        "List": {repeatAttrs: ["items"], templateAttrs: ["title"], contextAttrs: ["locale"]}
+      },
+      lruCacheSettings: {max: 100, maxAge: 1000}
+    };
+
+    helper.clearRequireCache();
+    reactComponentCache(config);
+    expect(validateConfig(config)).to.deep.equal({errors: [], warnings: []});
+  });
+
+  it("should not cache components whose cacheKeyGen returns an object", (done) => {
+    const events = [];
+    const env = helper.setup({
+      components: {"Tile": (props) => props.product},
+      eventCallback: (e) => events.push(e)
+    });
+    const ref = env.ref;
+    const React = env.React;
+    const ReactDomServer = env.ReactDomServer;
+    let renderCount = 0;
+    const Tile = class extends React.Component {
+      render() {
+        renderCount++;
+        return React.createElement("p", null, this.props.product.name);
+      }
+    };
+    Tile.displayName = "Tile";
+
+    ["a", "b", "a"].forEach((name) => {
+      expect(ReactDomServer.renderToStaticMarkup(React.createElement(Tile, {product: {name: name}})))
+        .to.equal(`<p>${name}</p>`);
+    });
+    expect(renderCount).to.equal(3);
+    expect(ref.cacheLength()).to.equal(0);
+    process.nextTick(() => {
+      expect(events.filter((e) => e.type === "config")).to.deep.equal([
+        {type: "config", event: "invalidKey", cmpName: "Tile", key: {name: "a"}}
+      ]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,77 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const helper = require("../helper");
+
+describe("context aware cache keys", function () {
+  let React;
+  let ReactDomServer;
+  let renderCount;
+
+  const setup = function (cacheConfig) {
+    renderCount = 0;
+    const env = helper.setup({components: {"PriceTag": cacheConfig}});
+    React = env.React;
+    ReactDomServer = env.ReactDomServer;
+    return env.ref;
+  };
+
+  const contextTypes = {locale: () => null, flags: () => null};
+
+  const render = function (props, context) {
+    const PriceTag = class extends React.Component {
+      render() {
+        renderCount++;
+        const flags = this.context.flags || {};
+        return React.createElement("span", null,
+          `${this.props.price} ${this.context.locale}${flags.compact ? " compact" : ""}`);
+      }
+    };
+    PriceTag.displayName = "PriceTag";
+    PriceTag.contextTypes = contextTypes;
+    const Provider = class extends React.Component {
+      getChildContext() {
+        return context;
+      }
+      render() {
+        return React.createElement("div", null, React.createElement(PriceTag, props));
+      }
+    };
+    Provider.childContextTypes = contextTypes;
+    return ReactDomServer.renderToStaticMarkup(React.createElement(Provider));
+  };
+
+  it("should segment the cache keys by the context attributes", () => {
+    const ref = setup({cacheAttrs: ["price"], contextAttrs: ["locale", "flags.compact"]});
+
+    expect(render({price: 10}, {locale: "en", flags: {compact: false}})).to.equal("<div><span>10 en</span></div>");
+    expect(render({price: 10}, {locale: "fr", flags: {compact: false}})).to.equal("<div><span>10 fr</span></div>");
+    expect(render({price: 10}, {locale: "fr", flags: {compact: true}})).to.equal("<div><span>10 fr compact</span></div>");
+    expect(render({price: 10}, {locale: "en", flags: {compact: false}})).to.equal("<div><span>10 en</span></div>");
+    expect(renderCount).to.equal(3);
+    expect(ref.cacheDump().map((hit) => hit.k).sort()).to.deep.equal([
+      "PriceTag:10|\"en\",false:", "PriceTag:10|\"fr\",false:", "PriceTag:10|\"fr\",true:"
+    ]);
+  });
+
+  it("should pass the context to cacheKeyGen", () => {
+    setup({cacheKeyGen: (props, context) => `${props.price}-${context.locale}`});
+
+    expect(render({price: 10}, {locale: "en"})).to.equal("<div><span>10 en</span></div>");
+    expect(render({price: 10}, {locale: "fr"})).to.equal("<div><span>10 fr</span></div>");
+    expect(render({price: 10}, {locale: "fr"})).to.equal("<div><span>10 fr</span></div>");
+    expect(renderCount).to.equal(2);
+  });
+
+  it("should invalidate the entry of the given props and context", () => {
+    const ref = setup({cacheAttrs: ["price"], contextAttrs: ["locale"]});
+
+    render({price: 10}, {locale: "en"});
+    render({price: 10}, {locale: "fr"});
+    expect(ref.invalidateKey("PriceTag", {price: 10}, {locale: "fr"})).to.equal(1);
+    expect(ref.cacheDump().map((hit) => hit.k)).to.deep.equal(["PriceTag:10|\"en\":"]);
+  });
+});
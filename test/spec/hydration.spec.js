@@ -0,0 +1,100 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const helper = require("../helper");
+
+describe("hydration", function () {
+  let React;
+  let events;
+
+  // Tile and List are cached, Page renders them after a number of paragraphs
+  const setup = function (config, tileAttrs) {
+    events = [];
+    const env = helper.setup(Object.assign({
+      components: {
+        "Tile": {cacheAttrs: tileAttrs || ["id"], templateAttrs: ["name"]},
+        "List": {repeatAttrs: ["items"]}
+      },
+      eventCallback: (e) => events.push(e)
+    }, config));
+    React = env.React;
+    const Tile = class extends React.Component {
+      render() {
+        return React.createElement("div", {className: this.props.sale ? "sale" : "tile"},
+          React.createElement("b", null, this.props.name), " #", this.props.id);
+      }
+    };
+    Tile.displayName = "Tile";
+    const List = class extends React.Component {
+      render() {
+        return React.createElement("ul", null, this.props.items.map((item, i) =>
+          React.createElement("li", {key: i}, item.name, React.createElement(Tile, item))));
+      }
+    };
+    List.displayName = "List";
+    const page = (paragraphs, items) => React.createElement("main", null,
+      Array.from({length: paragraphs}, (value, i) => React.createElement("p", {key: i}, `p${i}`)),
+      React.createElement("div", null, React.createElement(Tile, items[0])),
+      React.createElement(List, {items: items}),
+      React.createElement("footer", null, "end"));
+    return {ref: env.ref, Tile: Tile, page: page};
+  };
+
+  const items = (count, sale) => Array.from({length: count}, (value, i) => ({
+    id: i % 2, name: `<item ${i}>`, sale: sale
+  }));
+
+  it("should render the markup and checksum of pages rendered without the cache", () => {
+    const env = setup();
+
+    [[0, 2], [3, 3], [1, 5], [0, 2], [2, 4]].forEach((page) => {
+      const verified = env.ref.verifyHydration(env.page(page[0], items(page[1])));
+      expect(verified.diff).to.equal(null, JSON.stringify(verified.diff));
+      expect(verified.markup).to.equal(verified.reference);
+      expect(verified.checksum.cached).to.equal(verified.checksum.reference);
+    });
+    expect(env.ref.getStats().Tile.hits).to.be.above(0);
+    expect(env.ref.getStats().List.hits).to.be.above(0);
+  });
+
+  it("should mark the root of pages the way React does", () => {
+    const env = setup();
+    const verify = (element) => env.ref.verifyHydration(element).diff;
+
+    expect(verify(React.createElement("div", null, React.createElement(env.Tile, {id: 1, name: "a"})))).to.equal(null);
+    expect(verify(React.createElement(env.Tile, {id: 1, name: "b"}))).to.equal(null);
+    expect(verify(React.createElement("div", null, React.createElement(env.Tile, {id: 1, name: "c"})))).to.equal(null);
+    expect(env.ref.getStats().Tile.hits).to.equal(2);
+  });
+
+  it("should report the difference with pages rendered without the cache", () => {
+    const env = setup({}, ["id"]);
+
+    env.ref.verifyHydration(env.page(0, items(2, false)));
+    const verified = env.ref.verifyHydration(env.page(0, items(2, true)));
+    expect(verified.diff.expected).to.contain("sale");
+    expect(verified.diff.actual).to.not.contain("sale");
+    expect(verified.reference).to.contain("sale");
+    if (verified.checksum.reference !== null) {
+      expect(verified.checksum.cached).to.not.equal(verified.checksum.reference);
+    }
+  });
+
+  it("should report the sampled pages whose markup differs", (done) => {
+    const env = setup({verifyHydration: {sampleRate: 1}});
+
+    expect(env.ref.renderToString(env.page(1, items(2, false)))).to.contain("tile");
+    expect(env.ref.renderToString(env.page(1, items(2, true)))).to.not.contain("sale");
+    process.nextTick(() => {
+      const mismatches = events.filter((e) => e.type === "hydration");
+      expect(mismatches).to.have.length(1);
+      expect(mismatches[0].event).to.equal("mismatch");
+      expect(mismatches[0].diff.expected).to.contain("sale");
+      expect(mismatches[0].checksum).to.have.keys("cached", "reference");
+      done();
+    });
+  });
+});
@@ -0,0 +1,113 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const Module = require("module");
+const chai = require("chai");
+const expect = chai.expect;
+const helper = require("../helper");
+
+describe("installation", function () {
+  let React;
+  let ReactDomServer;
+  let renderCounts;
+  let optimizers;
+
+  // Loads a copy of the module of its own, so the optimizers of the other specs are not
+  // installed, and creates an optimizer for each config
+  const setup = function (configs) {
+    helper.clearRequireCache();
+    renderCounts = {};
+    const reactComponentCache = require("../..");
+    const requireBefore = Module.prototype.require;
+    optimizers = configs.map((config) => reactComponentCache({components: config}));
+    React = require("react");
+    ReactDomServer = require("react-dom/server");
+    const counted = (name) => {
+      const Component = class extends React.Component {
+        render() {
+          renderCounts[name] = (renderCounts[name] || 0) + 1;
+          return React.createElement("p", null, `${name} ${this.props.name}`);
+        }
+      };
+      Component.displayName = name;
+      return Component;
+    };
+    const Greeting = counted("Greeting");
+    const Banner = counted("Banner");
+    const page = () => React.createElement("div", null,
+      React.createElement(Greeting, {name: "a"}), React.createElement(Banner, {name: "b"}));
+    return {
+      module: reactComponentCache,
+      requireBefore: requireBefore,
+      render: () => ReactDomServer.renderToString(page()),
+      page: page
+    };
+  };
+
+  const greetings = {"Greeting": {cacheAttrs: ["name"]}};
+  const banners = {"Banner": {cacheAttrs: ["name"]}};
+
+  afterEach(() => {
+    optimizers.forEach((optimizer) => optimizer.uninstall());
+  });
+
+  it("should render with the latest optimizer or the optimizer of the scope", () => {
+    const env = setup([greetings, banners]);
+
+    env.render();
+    env.render();
+    expect(renderCounts).to.deep.equal({Greeting: 2, Banner: 1});
+    const markup = env.module.withOptimizer(optimizers[0], () => env.render() && env.render());
+    expect(markup).to.contain("Greeting a");
+    expect(renderCounts).to.deep.equal({Greeting: 3, Banner: 3});
+    expect(optimizers[0].cacheDump().map((hit) => hit.k)).to.deep.equal(["Greeting:\"a\":|hydratable"]);
+    expect(optimizers[1].cacheDump().map((hit) => hit.k)).to.deep.equal(["Banner:\"b\":|hydratable"]);
+  });
+
+  it("should read the streams created in a scope with the optimizer of the scope", (done) => {
+    const env = setup([greetings, banners]);
+    const stream = env.module.withOptimizer(optimizers[0],
+      () => env.module.renderToStaticNodeStream(env.page()));
+    let markup = "";
+
+    stream.on("data", (chunk) => {
+      markup += chunk;
+    });
+    stream.on("end", () => {
+      expect(markup).to.equal("<div><p>Greeting a</p><p>Banner b</p></div>");
+      expect(optimizers[0].cacheLength()).to.equal(1);
+      expect(optimizers[1].cacheLength()).to.equal(0);
+      done();
+    });
+  });
+
+  it("should hook require once and restore it when the last optimizer is uninstalled", () => {
+    const env = setup([greetings]);
+    const hook = Module.prototype.require;
+
+    optimizers.push(env.module({components: banners}));
+    expect(Module.prototype.require).to.equal(hook);
+    optimizers[1].uninstall();
+    env.render();
+    env.render();
+    expect(renderCounts).to.deep.equal({Greeting: 1, Banner: 2});
+    optimizers[0].dispose();
+    optimizers[0].uninstall();
+    expect(Module.prototype.require).to.equal(env.requireBefore);
+  });
+
+  it("should render without caching once uninstalled", () => {
+    const env = setup([greetings]);
+
+    optimizers[0].uninstall();
+    env.render();
+    env.module.withOptimizer(optimizers[0], env.render);
+    helper.clearRequireCache();
+    React = require("react");
+    ReactDomServer = require("react-dom/server");
+    env.render();
+    expect(renderCounts).to.deep.equal({Greeting: 3, Banner: 3});
+    expect(optimizers[0].cacheLength()).to.equal(0);
+  });
+});
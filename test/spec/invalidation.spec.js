@@ -0,0 +1,136 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const helper = require("../helper");
+
+describe("cache invalidation", function () {
+  const renderProduct = function (React) {
+    return React.createElement("div", null, this.props.product.name);
+  };
+
+  it("should invalidate all entries of a component", () => {
+    const env = helper.setup({
+      components: {
+        "PromoBanner": {cacheAttrs: ["text"]},
+        "GlobalNav": {cacheAttrs: ["text"]}
+      }
+    });
+    const promoBanner = env.createComponent("PromoBanner");
+    const globalNav = env.createComponent("GlobalNav");
+    promoBanner({text: "X"});
+    promoBanner({text: "Y"});
+    globalNav({text: "X"});
+
+    expect(env.ref.invalidateComponent("PromoBanner")).to.equal(2);
+    expect(env.ref.cacheLength()).to.equal(1);
+    helper.nextMillisecond();
+    promoBanner({text: "X"});
+    globalNav({text: "X"});
+    expect(env.renderCounts).to.deep.equal({PromoBanner: 3, GlobalNav: 1});
+    promoBanner({text: "X"});
+    expect(env.renderCounts.PromoBanner).to.equal(3);
+  });
+
+  it("should invalidate the entry of a component's props", () => {
+    const env = helper.setup({components: {"ProductTile": {cacheAttrs: ["product.id"], templateAttrs: ["product.name", "images"]}}});
+    const productTile = env.createComponent("ProductTile", renderProduct);
+    productTile({product: {id: 123, name: "A"}, images: ["a", "b"]});
+    productTile({product: {id: 124, name: "B"}, images: ["a", "b"]});
+
+    const props = {product: {id: 123, name: "C"}, images: ["c", "d"]};
+    expect(env.ref.invalidateKey("ProductTile", props)).to.equal(1);
+    expect(props).to.deep.equal({product: {id: 123, name: "C"}, images: ["c", "d"]});
+    helper.nextMillisecond();
+    productTile({product: {id: 123, name: "A"}, images: ["a", "b"]});
+    productTile({product: {id: 124, name: "B"}, images: ["a", "b"]});
+    expect(env.renderCounts.ProductTile).to.equal(3);
+  });
+
+  it("should ignore keys of components that are not cached", () => {
+    const env = helper.setup({components: {"ProductTile": function () {return null;}}});
+    expect(env.ref.invalidateKey("ProductTile", {})).to.equal(0);
+    expect(env.ref.invalidateKey("Unknown", {})).to.equal(0);
+  });
+
+  it("should invalidate entries by tag", () => {
+    const env = helper.setup({
+      components: {
+        "ProductTile": {
+          cacheAttrs: ["product.id"],
+          cacheTags: (props) => [`product.id=${props.product.id}`]
+        },
+        "ProductPrice": {
+          cacheAttrs: ["product.id"],
+          cacheTags: (props) => [`product.id=${props.product.id}`, "prices"]
+        }
+      }
+    });
+    const productTile = env.createComponent("ProductTile", renderProduct);
+    const productPrice = env.createComponent("ProductPrice", renderProduct);
+    productTile({product: {id: 123, name: "A"}});
+    productTile({product: {id: 124, name: "B"}});
+    productPrice({product: {id: 124, name: "B"}});
+
+    expect(env.ref.invalidateTag("product.id=124")).to.equal(2);
+    expect(env.ref.invalidateTag("prices")).to.equal(0);
+    helper.nextMillisecond();
+    productTile({product: {id: 123, name: "A"}});
+    productTile({product: {id: 124, name: "B"}});
+    productPrice({product: {id: 124, name: "B"}});
+    expect(env.renderCounts).to.deep.equal({ProductTile: 3, ProductPrice: 2});
+  });
+
+  it("should invalidate entries of custom caches that cannot delete", () => {
+    const cache = {
+      _cache: {},
+      get: function (key) {
+        return this._cache[key];
+      },
+      set: function (key, value) {
+        this._cache[key] = value;
+      }
+    };
+    const env = helper.setup({
+      components: {"PromoBanner": {cacheAttrs: ["text"], cacheTags: (props) => [props.text]}},
+      cacheImpl: cache
+    });
+    const promoBanner = env.createComponent("PromoBanner");
+    promoBanner({text: "X"});
+    promoBanner({text: "Y"});
+    promoBanner({text: "Z"});
+
+    expect(env.ref.invalidateTag("X")).to.equal(0);
+    expect(env.ref.invalidateKey("PromoBanner", {text: "Y"})).to.equal(0);
+    helper.nextMillisecond();
+    promoBanner({text: "X"});
+    promoBanner({text: "Y"});
+    promoBanner({text: "Z"});
+    expect(env.renderCounts.PromoBanner).to.equal(5);
+
+    env.ref.invalidateComponent("PromoBanner");
+    helper.nextMillisecond();
+    promoBanner({text: "Z"});
+    promoBanner({text: "Z"});
+    expect(env.renderCounts.PromoBanner).to.equal(6);
+  });
+
+  it("should drop the invalidations older than the longest maxAge", () => {
+    const env = helper.setup({components: {"PromoBanner": {cacheAttrs: ["text"]}}, lruCacheSettings: {max: 100, maxAge: 20}});
+    const promoBanner = env.createComponent("PromoBanner");
+    env.ref.invalidateKey("PromoBanner", {text: "X"});
+    env.ref.invalidateKey("PromoBanner", {text: "Y"});
+    expect(Object.keys(env.ref.invalidations.keys)).to.have.length(4);
+
+    return new Promise((resolve) => setTimeout(resolve, 25)).then(() => {
+      env.ref.invalidateKey("PromoBanner", {text: "Z"});
+      expect(Object.keys(env.ref.invalidations.keys)).to.deep.equal(["PromoBanner:\"Z\":", "PromoBanner:\"Z\":|hydratable"]);
+      helper.nextMillisecond();
+      promoBanner({text: "X"});
+      promoBanner({text: "X"});
+      expect(env.renderCounts.PromoBanner).to.equal(1);
+    });
+  });
+});
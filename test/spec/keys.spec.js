@@ -0,0 +1,82 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const reactComponentCache = require("../..");
+const helper = require("../helper");
+
+describe("cache keys", function () {
+  // Tile renders its props as JSON
+  const setup = function (config) {
+    const events = [];
+    const env = helper.setup(Object.assign({eventCallback: (e) => events.push(e)}, config));
+    const React = env.React;
+    const Tile = env.component("Tile", function () {
+      return React.createElement("p", null, JSON.stringify(this.props));
+    });
+    return {
+      ref: env.ref,
+      events: events,
+      renderCounts: env.renderCounts,
+      render: (props) => env.ReactDomServer.renderToStaticMarkup(React.createElement("div", null, React.createElement(Tile, props))),
+      keys: () => env.ref.cacheDump().map((hit) => hit.k).sort()
+    };
+  };
+
+  it("should tell apart the values of the attributes by their type and their delimiter", () => {
+    const env = setup({components: {"Tile": {cacheAttrs: ["a", "b"]}}});
+
+    env.render({a: "ab", b: "c"});
+    env.render({a: "a", b: "bc"});
+    env.render({a: 1});
+    env.render({a: "1"});
+    env.render({a: "1", b: null});
+    expect(env.renderCounts.Tile).to.equal(5);
+    expect(env.keys()).to.deep.equal(["Tile:\"1\",null:", "Tile:\"1\",u:", "Tile:\"a\",\"bc\":", "Tile:\"ab\",\"c\":", "Tile:1,u:"]);
+  });
+
+  it("should key objects by their properties in order of their names", () => {
+    const env = setup({components: {"Tile": {cacheAttrs: ["product"]}}});
+
+    env.render({product: {id: 1, tags: ["a"], name: "A"}});
+    env.render({product: {name: "A", id: 1, tags: ["a"], price: undefined}});
+    expect(env.renderCounts.Tile).to.equal(1);
+    expect(env.keys()).to.deep.equal(["Tile:{\"id\":1,\"name\":\"A\",\"tags\":[\"a\"]}:"]);
+  });
+
+  it("should hash the keys longer than the maximum length", () => {
+    const env = setup({components: {"Tile": {cacheAttrs: ["text"], templateAttrs: ["label"]}}, hashKeys: {maxLength: 10}});
+    const text = "a rather long text";
+
+    env.render({text: "short", label: "x"});
+    env.render({text: text, label: "x"});
+    expect(env.render({text: text, label: "y"})).to.contain("y");
+    expect(env.renderCounts.Tile).to.equal(2);
+    expect(env.keys()).to.deep.equal(["Tile:\"short\":", "Tile:sha1-e8ae003b1bcae23b42ccfafc790df49e8dbf5cdd"]);
+    expect(env.ref.invalidateKey("Tile", {text: text, label: "z"})).to.equal(1);
+  });
+
+  it("should report the collisions of hashed keys in debug mode", (done) => {
+    const env = setup({components: {"Tile": {cacheAttrs: ["text"]}}, hashKeys: {maxLength: 0, debug: true}});
+
+    env.render({text: "a"});
+    const entry = env.ref.cacheDump()[0].v;
+    expect(entry.fullKey).to.equal("Tile:\"a\":");
+    entry.fullKey = "Tile:\"b\":";
+    env.render({text: "a"});
+    env.render({text: "a"});
+    expect(env.renderCounts.Tile).to.equal(2);
+    process.nextTick(() => {
+      expect(env.events.filter((e) => e.type === "key")).to.deep.equal([{type: "key", event: "collision",
+        cmpName: "Tile", cacheKey: env.keys()[0], keys: ["Tile:\"b\":", "Tile:\"a\":"]}]);
+      done();
+    });
+  });
+
+  it("should throw on hash algorithms crypto does not support", () => {
+    expect(() => reactComponentCache({components: {}, hashKeys: {algorithm: "sha0"}}))
+      .to.throw("config.hashKeys.algorithm is not a hash algorithm supported by crypto");
+  });
+});
@@ -0,0 +1,145 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const reactComponentCache = require("../..");
+const helper = require("../helper");
+
+describe("component matching", function () {
+  let React;
+  let ReactDomServer;
+  let renderCounts;
+
+  const createComponent = function (name, id) {
+    const Component = class extends React.Component {
+      render() {
+        const counter = id ? `${name}-${id}` : name;
+        renderCounts[counter] = (renderCounts[counter] || 0) + 1;
+        return React.createElement("div", null, id || name, this.props.text);
+      }
+    };
+    Component.displayName = name;
+    return Component;
+  };
+
+  // Components are created before the optimizer, so configs can refer to them
+  const setup = function (createConfig) {
+    helper.clearRequireCache();
+    renderCounts = {};
+    React = require("react");
+    const types = {
+      LibAButton: createComponent("Button", "a"),
+      LibBButton: createComponent("Button", "b"),
+      IconStar: createComponent("IconStar"),
+      IconHeart: createComponent("IconHeart"),
+      Label: createComponent("Label")
+    };
+    const ref = reactComponentCache(createConfig(types));
+    ReactDomServer = require("react-dom/server");
+    types.ref = ref;
+    return types;
+  };
+
+  const render = (type, props) => ReactDomServer.renderToStaticMarkup(React.createElement(type, props));
+
+  it("should match components by type with a Map", () => {
+    const types = setup((t) => ({
+      components: new Map([[t.LibAButton, {cacheAttrs: ["text"]}]])
+    }));
+
+    ["x", "x"].forEach((text) => {
+      expect(render(types.LibAButton, {text: text})).to.equal("<div>ax</div>");
+      expect(render(types.LibBButton, {text: text})).to.equal("<div>bx</div>");
+    });
+    expect(renderCounts).to.deep.equal({"Button-a": 1, "Button-b": 2});
+  });
+
+  it("should give unique names to components matched by type", () => {
+    const types = setup((t) => ({
+      components: [
+        {type: t.LibAButton, cacheAttrs: ["text"]},
+        {type: t.LibBButton, cacheAttrs: ["text"]},
+        {type: t.Label, name: "FormLabel"}
+      ]
+    }));
+
+    render(types.LibAButton, {text: "x"});
+    render(types.LibBButton, {text: "x"});
+    render(types.Label, {text: "x"});
+    expect(render(types.LibBButton, {text: "x"})).to.equal("<div>bx</div>");
+    expect(types.ref.cacheDump().map((hit) => hit.k).sort()).to.deep.equal([
+      "Button:\"x\":", "Button_2:\"x\":", "FormLabel:_defaultKey:"
+    ]);
+    expect(types.ref.invalidateComponent(types.LibBButton)).to.equal(1);
+    expect(types.ref.cacheLength()).to.equal(2);
+  });
+
+  it("should match components by regular expression", () => {
+    const types = setup(() => ({
+      components: new Map([[/^Icon/, {cacheAttrs: ["text"], maxEntries: 5}]])
+    }));
+
+    ["x", "x"].forEach((text) => {
+      render(types.IconStar, {text: text});
+      render(types.IconHeart, {text: text});
+      render(types.Label, {text: text});
+    });
+    expect(renderCounts).to.deep.equal({IconStar: 1, IconHeart: 1, Label: 2});
+    expect(types.ref.cacheLength("IconStar")).to.equal(1);
+    expect(types.ref.cacheLength("IconHeart")).to.equal(1);
+  });
+
+  it("should match components with a predicate", () => {
+    const types = setup(() => ({
+      components: [{test: (type, props) => type.displayName === "Label" && !props.dynamic, cacheAttrs: ["text"]}]
+    }));
+
+    ["x", "x"].forEach((text) => {
+      render(types.Label, {text: text});
+      render(types.Label, {text: text, dynamic: true});
+    });
+    expect(renderCounts).to.deep.equal({Label: 3});
+  });
+
+  it("should cache the types sharing a name matched by a predicate or a regular expression apart", () => {
+    const configs = [
+      (t) => ({components: [{type: t.LibAButton, cacheAttrs: ["text"]}, {test: (type) => type === t.LibBButton, cacheAttrs: ["text"]}]}),
+      (t) => ({components: new Map([[t.LibAButton, {cacheAttrs: ["text"]}], [/^Butt/, {cacheAttrs: ["text"]}]])})
+    ];
+
+    configs.forEach((createConfig) => {
+      const types = setup(createConfig);
+      ["x", "x"].forEach((text) => {
+        expect(render(types.LibAButton, {text: text})).to.equal("<div>ax</div>");
+        expect(render(types.LibBButton, {text: text})).to.equal("<div>bx</div>");
+      });
+      expect(renderCounts).to.deep.equal({"Button-a": 1, "Button-b": 1});
+      expect(types.ref.cacheDump().map((hit) => hit.k).sort()).to.deep.equal(["Button:\"x\":", "Button_2:\"x\":"]);
+      expect(types.ref.invalidateComponent(types.LibBButton)).to.equal(1);
+    });
+  });
+
+  it("should report the configured components that were not rendered", (done) => {
+    const warn = console.warn;
+    const warnings = [];
+    const events = [];
+    console.warn = (message) => warnings.push(message);
+    const types = setup(() => ({
+      components: new Map([["Label", {}], ["Mangled", {}], [/^Icon/, {}], [/^Nope/, {}]]),
+      eventCallback: (e) => events.push(e),
+      unseenComponentsWarningDelay: 1
+    }));
+
+    render(types.Label);
+    render(types.IconStar);
+    expect(types.ref.unseenComponents()).to.deep.equal(["Mangled", "/^Nope/"]);
+    setTimeout(() => {
+      console.warn = warn;
+      expect(warnings).to.deep.equal(["Components configured to be cached were not rendered: Mangled, /^Nope/"]);
+      expect(events.filter((e) => e.type === "config")).to.deep.equal([{type: "config", event: "unseen", cmpNames: ["Mangled", "/^Nope/"]}]);
+      done();
+    }, 10);
+  });
+});
@@ -0,0 +1,156 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const helper = require("../helper");
+
+describe("nested cached components", function () {
+  let renderCounts;
+  let events;
+
+  // Page renders a Price for each of its products, Section wraps a Page
+  const setup = function (components) {
+    events = [];
+    const env = helper.setup({components: components, eventCallback: (e) => events.push(e)});
+    const React = env.React;
+    renderCounts = env.renderCounts;
+    const Price = env.component("Price", function () {
+      return React.createElement("b", null, this.props.amount);
+    });
+    const Page = env.component("Page", function () {
+      return React.createElement("ul", null, this.props.products.map((product) =>
+        React.createElement("li", {key: product.id}, product.name,
+          React.createElement(Price, {id: product.id, amount: product.price}))));
+    });
+    const Section = env.component("Section", function () {
+      return React.createElement("section", null, React.createElement(Page, this.props));
+    });
+    const renderWith = (type) => (props) => env.ReactDomServer.renderToStaticMarkup(React.createElement(type, props));
+    return {ref: env.ref, page: renderWith(Page), section: renderWith(Section)};
+  };
+
+  const products = (price) => [{id: "a", name: "A", price: 1}, {id: "b", name: "B", price: price}];
+
+  it("should record the entries embedded by a parent entry", () => {
+    const env = setup({
+      "Section": {cacheTags: () => ["section"]},
+      "Page": {cacheAttrs: ["products"]},
+      "Price": {cacheAttrs: ["id"], cacheTags: (props) => [`price=${props.id}`]}
+    });
+
+    env.section({products: products(2)});
+    const entries = {};
+    env.ref.cacheDump().forEach((hit) => {
+      entries[hit.k.split(":")[0]] = hit.v;
+    });
+    expect(entries.Page.children).to.deep.equal(["Price:\"a\":", "Price:\"b\":"]);
+    expect(entries.Page.tags).to.deep.equal(["price=a", "price=b"]);
+    expect(entries.Section.children).to.have.length(3);
+    expect(entries.Section.tags).to.deep.equal(["section", "price=a", "price=b"]);
+    expect(entries.Price.children).to.equal(undefined);
+  });
+
+  it("should record the entries embedded by a hit in the parent entry", () => {
+    const env = setup({
+      "Section": {cacheAttrs: ["title"]},
+      "Page": {cacheAttrs: ["products"]},
+      "Price": {cacheAttrs: ["id"]}
+    });
+
+    env.page({products: products(2)});
+    env.section({title: "x", products: products(2)});
+    expect(renderCounts).to.deep.equal({Page: 1, Price: 2, Section: 1});
+    expect(env.ref.cacheDump("Section")[0].v.children).to.deep.equal([
+      `Page:${JSON.stringify(products(2))}:`, "Price:\"a\":", "Price:\"b\":"
+    ]);
+  });
+
+  it("should cascade the invalidation of embedded entries", () => {
+    const env = setup({
+      "Section": {cacheAttrs: ["title"]},
+      "Page": {cacheAttrs: ["title"]},
+      "Price": {cacheAttrs: ["id"], cacheTags: (props) => [`price=${props.id}`]}
+    });
+
+    env.section({title: "x", products: products(2)});
+    expect(env.ref.invalidateKey("Price", {id: "b"})).to.equal(3);
+    helper.nextMillisecond();
+    expect(env.section({title: "x", products: products(3)})).to.contain("<b>3</b>");
+    expect(env.ref.invalidateComponent("Price")).to.equal(4);
+    helper.nextMillisecond();
+    expect(env.section({title: "x", products: products(4)})).to.contain("<b>4</b>");
+    expect(env.ref.invalidateTag("price=a")).to.equal(3);
+    expect(env.ref.cacheLength()).to.equal(1);
+    expect(renderCounts).to.deep.equal({Section: 3, Page: 3, Price: 5});
+  });
+
+  it("should cascade invalidations when entries are read", () => {
+    const env = setup({
+      "Page": {cacheAttrs: ["title"]},
+      "Price": {cacheAttrs: ["id"]}
+    });
+    const entries = {};
+    env.ref.deleteEntries = () => 0;
+
+    env.page({title: "x", products: products(2)});
+    env.ref.invalidateKey("Price", {id: "b"});
+    helper.nextMillisecond();
+    expect(env.page({title: "x", products: products(3)})).to.contain("<b>3</b>");
+    env.page({title: "x", products: products(3)});
+    env.ref.cacheDump().forEach((hit) => {
+      entries[hit.k] = hit.v;
+    });
+    expect(renderCounts).to.deep.equal({Page: 2, Price: 3});
+    expect(entries["Page:\"x\":"].children).to.deep.equal(["Price:\"a\":", "Price:\"b\":"]);
+  });
+
+  it("should compose the keys of parents from the keys of their cached children", () => {
+    const env = setup({
+      "Section": {composeKeys: true},
+      "Page": {composeKeys: true},
+      "Price": {cacheAttrs: ["id", "amount"]}
+    });
+
+    expect(env.section({products: products(2)})).to.contain("<b>2</b>");
+    expect(env.section({products: products(3)})).to.contain("<b>3</b>");
+    expect(env.section({products: products(2)})).to.contain("<b>2</b>");
+    // Composing a key calls render, the third render only composes the keys
+    expect(renderCounts).to.deep.equal({Section: 5, Page: 7, Price: 3});
+    expect(env.ref.cacheDump("Page").map((hit) => hit.k).sort()).to.deep.equal([
+      "Page:_defaultKey:[Price:\"a\",1:,Price:\"b\",2:]", "Page:_defaultKey:[Price:\"a\",1:,Price:\"b\",3:]"
+    ]);
+    expect(env.ref.cacheDump("Section").map((hit) => hit.k).sort()).to.deep.equal([
+      "Section:_defaultKey:[Page:_defaultKey:[Price:\"a\",1:,Price:\"b\",2:]]",
+      "Section:_defaultKey:[Page:_defaultKey:[Price:\"a\",1:,Price:\"b\",3:]]"
+    ]);
+    expect(env.ref.invalidateKey("Page", {products: products(2)})).to.equal(4);
+  });
+
+  it("should not cache parents whose children keys cannot be composed", (done) => {
+    let broken = false;
+    const env = setup({
+      "Page": {composeKeys: true},
+      "Price": (props) => {
+        if (broken) {
+          broken = false;
+          throw new Error("broken");
+        }
+        return props.amount > 2 ? null : props.id;
+      }
+    });
+
+    env.page({products: products(3)});
+    env.page({products: products(3)});
+    expect(env.ref.cacheDump("Page")).to.deep.equal([]);
+    broken = true;
+    expect(env.page({products: products(2)})).to.contain("<b>2</b>");
+    expect(env.ref.cacheDump("Page")).to.deep.equal([]);
+    process.nextTick(() => {
+      expect(events.filter((e) => e.type === "compose").map((e) => [e.cmpName, e.error.message]))
+        .to.deep.equal([["Page", "broken"]]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,94 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const helper = require("../helper");
+
+describe("cache partitions", function () {
+  it("should keep entries of partitioned components from being evicted by others", () => {
+    const env = helper.setup({
+      components: {
+        "GlobalNav": {cacheAttrs: ["text"], maxEntries: 2},
+        "ProductTile": {cacheAttrs: ["text"]}
+      },
+      lruCacheSettings: {max: 2}
+    });
+    const globalNav = env.createComponent("GlobalNav");
+    const productTile = env.createComponent("ProductTile");
+
+    globalNav({text: "nav"});
+    ["A", "B", "C", "D"].forEach((text) => productTile({text: text}));
+    globalNav({text: "nav"});
+
+    expect(env.renderCounts).to.deep.equal({GlobalNav: 1, ProductTile: 4});
+    expect(env.ref.cacheLength()).to.equal(3);
+    expect(env.ref.cacheLength("GlobalNav")).to.equal(1);
+    expect(env.ref.cacheLength("ProductTile")).to.equal(2);
+    expect(env.ref.cacheDump("GlobalNav").map((hit) => hit.k)).to.deep.equal(["GlobalNav:\"nav\":"]);
+    expect(env.ref.cacheDump("ProductTile").map((hit) => hit.k)).to.deep.equal(["ProductTile:\"D\":", "ProductTile:\"C\":"]);
+    expect(env.ref.cacheDump()).to.have.length(3);
+  });
+
+  it("should limit partitions to a number of entries", () => {
+    const env = helper.setup({components: {"ProductTile": {cacheAttrs: ["text"], maxEntries: 1}}});
+    const productTile = env.createComponent("ProductTile");
+
+    productTile({text: "A"});
+    productTile({text: "B"});
+    productTile({text: "A"});
+    expect(env.renderCounts.ProductTile).to.equal(3);
+    expect(env.ref.cacheLength("ProductTile")).to.equal(1);
+  });
+
+  it("should limit partitions to a number of bytes of markup", () => {
+    const env = helper.setup({components: {"ProductTile": {cacheAttrs: ["text"], maxBytes: 50}}});
+    const productTile = env.createComponent("ProductTile");
+
+    productTile({text: "A"});
+    productTile({text: "B"});
+    expect(env.ref.cacheLength("ProductTile")).to.equal(Buffer.byteLength("<div>A</div><div>B</div>"));
+    expect(env.ref.cacheLength()).to.equal(2);
+    productTile({text: "a much longer text than the others"});
+    expect(env.ref.cacheDump("ProductTile").map((hit) => hit.k)).to.deep.equal(["ProductTile:\"a much longer text than the others\":"]);
+  });
+
+  it("should combine byte and entry limits", () => {
+    const env = helper.setup({components: {"ProductTile": {cacheAttrs: ["text"], maxBytes: 1000, maxEntries: 2}}});
+    const productTile = env.createComponent("ProductTile");
+
+    ["A", "B", "C"].forEach((text) => productTile({text: text}));
+    expect(env.ref.cacheDump("ProductTile").map((hit) => hit.k)).to.deep.equal(["ProductTile:\"C\":", "ProductTile:\"B\":"]);
+  });
+
+  it("should expire entries of a partition after its maxAge", (done) => {
+    const env = helper.setup({
+      components: {
+        "PromoBanner": {cacheAttrs: ["text"], maxAge: 1},
+        "GlobalNav": {cacheAttrs: ["text"]}
+      }
+    });
+    const promoBanner = env.createComponent("PromoBanner");
+    const globalNav = env.createComponent("GlobalNav");
+
+    promoBanner({text: "A"});
+    globalNav({text: "A"});
+    setTimeout(() => {
+      promoBanner({text: "A"});
+      globalNav({text: "A"});
+      expect(env.renderCounts).to.deep.equal({PromoBanner: 2, GlobalNav: 1});
+      done();
+    }, 5);
+  });
+
+  it("should reset all partitions", () => {
+    const env = helper.setup({components: {"ProductTile": {cacheAttrs: ["text"], maxEntries: 5}, "GlobalNav": {cacheAttrs: ["text"]}}});
+    env.createComponent("ProductTile")({text: "A"});
+    env.createComponent("GlobalNav")({text: "A"});
+
+    expect(env.ref.cacheLength()).to.equal(2);
+    env.ref.cacheReset();
+    expect(env.ref.cacheLength()).to.equal(0);
+  });
+});
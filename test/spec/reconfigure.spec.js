@@ -0,0 +1,95 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const helper = require("../helper");
+
+describe("runtime reconfiguration", function () {
+  let renderCounts;
+
+  // Page renders a Title and a Tile for each of its products
+  const setup = function (components) {
+    const env = helper.setup({components: components});
+    const React = env.React;
+    renderCounts = env.renderCounts;
+    const Title = env.component("Title", function () {
+      return React.createElement("h1", null, this.props.text);
+    });
+    const Tile = env.component("Tile", function () {
+      return React.createElement("p", null, `${this.props.id} ${this.props.name}`);
+    });
+    const Page = env.component("Page", function () {
+      return React.createElement("div", null, React.createElement(Title, {text: this.props.title}),
+        this.props.products.map((product) => React.createElement(Tile, Object.assign({key: product.id}, product))));
+    });
+    return {
+      ref: env.ref,
+      render: (title, names) => env.ReactDomServer.renderToStaticMarkup(React.createElement(Page, {
+        title: title, products: names.map((name, i) => ({id: i, name: name}))
+      }))
+    };
+  };
+
+  it("should cache components configured after the optimizer was created", () => {
+    const env = setup({"Title": {cacheAttrs: ["text"]}});
+
+    env.render("a", ["x", "y"]);
+    expect(env.ref.configureComponent("Tile", {cacheAttrs: ["id", "name"]})).to.equal(0);
+    env.render("a", ["x", "y"]);
+    env.render("a", ["x", "y"]);
+    expect(renderCounts).to.deep.equal({Page: 3, Title: 1, Tile: 4});
+    expect(env.ref.configureComponent("Tile", {cacheAttrs: ["id"], templateAttrs: ["name"]})).to.equal(2);
+    helper.nextMillisecond();
+    expect(env.render("a", ["x", "y"])).to.contain("<p>1 y</p>");
+    expect(env.render("a", ["z", "w"])).to.contain("<p>1 w</p>");
+    expect(renderCounts.Tile).to.equal(6);
+    expect(env.ref.cacheDump("Tile").map((hit) => hit.k).sort()).to.deep.equal(["Tile:0:", "Tile:1:"]);
+  });
+
+  it("should stop caching removed components", () => {
+    const env = setup({"Title": {cacheAttrs: ["text"]}, "Page": {cacheAttrs: ["title"]}});
+
+    env.render("a", ["x"]);
+    expect(env.ref.removeComponent("Title")).to.equal(2);
+    expect(env.ref.removeComponent("Title")).to.equal(0);
+    env.render("a", ["x"]);
+    env.render("a", ["x"]);
+    expect(renderCounts).to.deep.equal({Page: 2, Title: 2, Tile: 2});
+    expect(env.ref.cacheDump().map((hit) => hit.k)).to.deep.equal(["Page:\"a\":"]);
+  });
+
+  it("should turn caching on and off for a single component", () => {
+    const env = setup({"Title": {cacheAttrs: ["text"]}, "Tile": {cacheAttrs: ["id"], disabled: true}});
+
+    env.render("a", ["x"]);
+    env.render("a", ["x"]);
+    expect(renderCounts).to.deep.equal({Page: 2, Title: 1, Tile: 2});
+    expect(env.ref.enableComponent("Title", false)).to.equal(1);
+    expect(env.ref.enableComponent("Tile", true)).to.equal(0);
+    env.render("a", ["x"]);
+    env.render("a", ["x"]);
+    expect(renderCounts).to.deep.equal({Page: 4, Title: 3, Tile: 3});
+    expect(() => env.ref.enableComponent("Header", true)).to.throw(/Header is not a cached component/);
+  });
+
+  it("should turn caching off for the components matched by a regular expression", () => {
+    const env = setup(new Map([[/^T/, {cacheAttrs: ["id", "text"]}]]));
+
+    env.render("a", ["x", "y"]);
+    expect(env.ref.enableComponent(/^T/, false)).to.equal(3);
+    env.render("a", ["x", "y"]);
+    expect(renderCounts).to.deep.equal({Page: 2, Title: 2, Tile: 4});
+    expect(env.ref.cacheLength()).to.equal(0);
+  });
+
+  it("should throw the errors of the options of configured components", () => {
+    const env = setup({"Title": {cacheAttrs: ["text"]}});
+
+    expect(() => env.ref.configureComponent("Tile", {cacheAttrs: "id"}))
+      .to.throw(/invalid config\nTile.cacheAttrs must be array, got string/);
+    env.render("a", ["x"]);
+    expect(env.ref.cacheDump().map((hit) => hit.k)).to.deep.equal(["Title:\"a\":"]);
+  });
+});
@@ -0,0 +1,91 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const reactComponentCache = require("../..");
+const helper = require("../helper");
+
+describe("render context", function () {
+  let React;
+  let ReactDomServer;
+  let events;
+
+  // Page renders a Header and a Tile for each of its names
+  const setup = function (components) {
+    events = [];
+    const env = helper.setup({components: components, eventCallback: (e) => events.push(e)});
+    React = env.React;
+    ReactDomServer = env.ReactDomServer;
+    const Header = (props) => React.createElement("h1", null, props.title);
+    Header.displayName = "Header";
+    const Tile = (props) => React.createElement("p", null, props.name);
+    Tile.displayName = "Tile";
+    const page = (title, names) => React.createElement("div", null, React.createElement(Header, {title: title}),
+      names.map((name, i) => React.createElement(Tile, {key: i, name: name})));
+    return {ref: env.ref, page: page};
+  };
+
+  const components = {"Header": {cacheAttrs: ["title"]}, "Tile": {cacheAttrs: ["name"]}};
+
+  it("should summarize the cached components of a render", () => {
+    const env = setup(components);
+    const render = (names) => env.ref.renderWithContext({requestId: names.join()},
+      () => ReactDomServer.renderToStaticMarkup(env.page("t", names)));
+
+    render(["a"]);
+    const rendered = render(["a", "b", "a"]);
+    expect(rendered.result).to.equal("<div><h1>t</h1><p>a</p><p>b</p><p>a</p></div>");
+    expect(rendered.summary).to.include({hits: 3, misses: 1, bypasses: 0, controls: 0, bytesFromCache: 26});
+    expect(rendered.summary.context).to.deep.equal({requestId: "a,b,a"});
+    expect(rendered.summary.components).to.deep.equal({Header: {hits: 1}, Tile: {hits: 2, misses: 1}});
+    expect(rendered.summary.renderTimeNS).to.be.above(0);
+    expect(reactComponentCache.toServerTiming(rendered.summary)).to.match(
+      /^cache-hit;desc="3 hits, 26 bytes";dur=[\d.]+, cache-miss;desc="1 misses";dur=[\d.]+, cache-saved;dur=[\d.]+$/);
+  });
+
+  it("should add the render context to the events of the render", (done) => {
+    const env = setup(components);
+
+    ReactDomServer.renderToStaticMarkup(env.page("t", ["a"]));
+    env.ref.renderWithContext({route: "/list"}, () => ReactDomServer.renderToStaticMarkup(env.page("t", ["b"])));
+    process.nextTick(() => {
+      expect(events.map((e) => [e.event, e.cmpName, e.renderContext])).to.deep.equal([
+        ["miss", "Header", undefined], ["miss", "Tile", undefined],
+        ["hit", "Header", {route: "/list"}], ["miss", "Tile", {route: "/list"}]
+      ]);
+      done();
+    });
+  });
+
+  it("should pass the render context to shouldCache", () => {
+    const env = setup({"Tile": {cacheAttrs: ["name"], shouldCache: (props, requestContext) => {
+      return Boolean(requestContext) && requestContext.segment === "beta";
+    }}});
+    const render = (segment) => env.ref.renderWithContext({segment: segment},
+      () => ReactDomServer.renderToString(env.page("t", ["a"]))).summary.components.Tile;
+
+    expect(render("beta")).to.deep.equal({misses: 1});
+    expect(render("alpha")).to.deep.equal({controls: 1});
+    expect(render("beta")).to.deep.equal({hits: 1});
+  });
+
+  it("should complete the summary of streams when they end", (done) => {
+    const env = setup(components);
+    ReactDomServer.renderToStaticMarkup(env.page("t", ["a"]));
+    const rendered = env.ref.renderWithContext({requestId: 1},
+      () => reactComponentCache.renderToStaticNodeStream(env.page("t", ["a", "b"])));
+    let markup = "";
+
+    expect(rendered.summary.hits).to.equal(0);
+    rendered.result.on("data", (chunk) => {
+      markup += chunk;
+    });
+    rendered.result.on("end", () => {
+      expect(markup).to.equal("<div><h1>t</h1><p>a</p><p>b</p></div>");
+      expect(rendered.summary.components).to.deep.equal({Header: {hits: 1}, Tile: {hits: 1, misses: 1}});
+      done();
+    });
+  });
+});
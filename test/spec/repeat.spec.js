@@ -0,0 +1,125 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const helper = require("../helper");
+
+describe("repeated sections", function () {
+  let React;
+  let ReactDomServer;
+  let renderCount;
+  let events;
+
+  // List is cached, Plain renders the same markup without the cache
+  const setup = function (cacheConfig, render) {
+    renderCount = 0;
+    events = [];
+    const env = helper.setup({components: {"List": cacheConfig}, eventCallback: (e) => events.push(e)});
+    React = env.React;
+    ReactDomServer = env.ReactDomServer;
+    const List = class extends React.Component {
+      render() {
+        renderCount++;
+        return render.call(this);
+      }
+    };
+    List.displayName = "List";
+    const Plain = class extends React.Component {
+      render() {
+        return render.call(this);
+      }
+    };
+    const renderWith = (type) => (props) => ReactDomServer.renderToString(React.createElement(type, props));
+    return {ref: env.ref, list: renderWith(List), plain: renderWith(Plain)};
+  };
+
+  const products = (count, onSale) => Array.from({length: count}, (value, i) => ({
+    id: `p${i}`, name: `Product <${i}>`, price: i * 10, onSale: Boolean(onSale && onSale[i])
+  }));
+
+  const renderProducts = function () {
+    return React.createElement("ul", {className: "products"},
+      this.props.items.map((item) => React.createElement("li", {key: item.id, title: item.name},
+        item.name, " ", React.createElement("b", null, item.price, " ", this.props.currency),
+        item.onSale ? React.createElement("em", null, "Sale!") : null)),
+      React.createElement("li", null, "More"));
+  };
+
+  it("should render lists of any length from one entry", () => {
+    const env = setup({repeatAttrs: ["items"], templateAttrs: ["currency"]}, renderProducts);
+
+    [3, 5, 2, 3].forEach((count) => {
+      const props = {items: products(count), currency: "€"};
+      expect(env.list(props)).to.equal(env.plain({items: products(count), currency: "€"}));
+    });
+    expect(renderCount).to.equal(1);
+    expect(env.ref.cacheDump().map((hit) => hit.k)).to.deep.equal(["List:_defaultKey:a.items_n|a.onSale=false|hydratable"]);
+  });
+
+  it("should learn a template for each variant of the items", () => {
+    const env = setup({repeatAttrs: [{attr: "items", cacheAttrs: ["kind"]}]}, function () {
+      return React.createElement("ul", null, this.props.items.map((item) => React.createElement("li", {key: item.id},
+        item.kind === "toy" ? React.createElement("em", null, item.name) : item.name,
+        item.onSale ? " Sale!" : null)));
+    });
+    const render = (kinds) => {
+      const items = kinds.map((kind, i) => ({id: i, name: `${kind} ${i}`, kind: kind.replace("+", ""), onSale: kind.indexOf("+") > 0}));
+      expect(env.list({items: items})).to.equal(env.plain({items: kinds.map((kind, i) => ({
+        id: i, name: `${kind} ${i}`, kind: kind.replace("+", ""), onSale: kind.indexOf("+") > 0
+      }))}));
+    };
+
+    render(["book", "book"]);
+    render(["book", "book", "book"]);
+    render(["book", "toy", "book+"]);
+    render(["book", "toy", "book+", "toy", "book"]);
+    render(["toy", "book"]);
+    render(["toy", "book", "book"]);
+    expect(renderCount).to.equal(3);
+    expect(env.ref.cacheLength()).to.equal(2);
+  });
+
+  it("should repeat items rendered as text", () => {
+    const env = setup({repeatAttrs: ["items"]}, function () {
+      return React.createElement("p", null, "Tags: ", this.props.items.map((item) => item.name));
+    });
+
+    [2, 4, 3].forEach((count) => {
+      expect(env.list({items: products(count)})).to.equal(env.plain({items: products(count)}));
+    });
+    expect(renderCount).to.equal(1);
+  });
+
+  it("should cache lists of less than two items by length", () => {
+    const env = setup({repeatAttrs: ["items"]}, renderProducts);
+
+    [0, 1, 0, 1].forEach((count) => {
+      expect(env.list({items: products(count)})).to.equal(env.plain({items: products(count)}));
+    });
+    expect(renderCount).to.equal(2);
+    expect(env.ref.cacheDump().map((hit) => hit.k).sort()).to.deep.equal([
+      "List:_defaultKey:a.items_0|hydratable", "List:_defaultKey:a.items_1,a.items.0.onSale=false|hydratable"
+    ]);
+  });
+
+  it("should fall back to an entry for each length when items render differently", (done) => {
+    const env = setup({repeatAttrs: ["items"]}, function () {
+      const last = this.props.items.length - 1;
+      return React.createElement("ul", null, this.props.items.map((item, i) =>
+        React.createElement("li", {key: item.id, className: i === last ? "last" : null}, item.name)));
+    });
+
+    [3, 3, 4, 3].forEach((count) => {
+      expect(env.list({items: products(count)})).to.equal(env.plain({items: products(count)}));
+    });
+    expect(renderCount).to.equal(3);
+    process.nextTick(() => {
+      expect(events.filter((e) => e.type === "template")).to.deep.equal([
+        {type: "template", event: "unrepeatable", cmpName: "List", attrs: ["items"]}
+      ]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,85 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const helper = require("../helper");
+
+describe("sampling", function () {
+  let React;
+  let ReactDomServer;
+  let renderCount;
+  let events;
+
+  const setup = function (tileConfig) {
+    renderCount = 0;
+    events = [];
+    const env = helper.setup({components: {"Tile": tileConfig}, eventCallback: (e) => events.push(e)});
+    React = env.React;
+    ReactDomServer = env.ReactDomServer;
+    const Tile = class extends React.Component {
+      render() {
+        renderCount++;
+        return React.createElement("p", null, this.props.name);
+      }
+    };
+    Tile.displayName = "Tile";
+    return {
+      ref: env.ref,
+      render: (props) => ReactDomServer.renderToString(React.createElement("div", null, React.createElement(Tile, props)))
+    };
+  };
+
+  const cacheEvents = () => events.filter((e) => e.type === "cache").map((e) => `${e.event}:${e.group}`);
+
+  it("should cache a sample of the renders of a component", (done) => {
+    const env = setup({cacheAttrs: ["name"], sampleRate: 0.5});
+    const random = Math.random;
+    const draws = [0.2, 0.7, 0.1, 0.5];
+    Math.random = () => draws.shift();
+    let markups;
+    try {
+      markups = [1, 2, 3, 4].map(() => env.render({name: "a"}));
+    } finally {
+      Math.random = random;
+    }
+    expect(markups[1]).to.equal(markups[0]);
+    expect(markups[2]).to.equal(markups[0]);
+    expect(renderCount).to.equal(3);
+    expect(env.ref.getStats().Tile).to.include({hits: 1, misses: 1, controls: 2});
+    process.nextTick(() => {
+      expect(cacheEvents()).to.deep.equal(["miss:cached", "control:control", "hit:cached", "control:control"]);
+      done();
+    });
+  });
+
+  it("should cache the renders a predicate picks", (done) => {
+    const calls = [];
+    const env = setup({cacheAttrs: ["name"], shouldCache: (props, requestContext, context) => {
+      calls.push(context);
+      return props.name !== "b";
+    }});
+
+    ["a", "b", "a", "b"].forEach((name) => env.render({name: name}));
+    expect(renderCount).to.equal(3);
+    expect(calls).to.have.length(4);
+    expect(env.ref.cacheDump().map((hit) => hit.k)).to.deep.equal(["Tile:\"a\":|hydratable"]);
+    process.nextTick(() => {
+      expect(cacheEvents()).to.deep.equal(["miss:cached", "control:control", "hit:cached", "control:control"]);
+      done();
+    });
+  });
+
+  it("should not tag the events of components that are not sampled", (done) => {
+    const env = setup({cacheAttrs: ["name"]});
+
+    env.render({name: "a"});
+    env.render({name: "a"});
+    process.nextTick(() => {
+      expect(cacheEvents()).to.deep.equal(["miss:undefined", "hit:undefined"]);
+      expect(events.every((e) => !("group" in e))).to.be.true;
+      done();
+    });
+  });
+});
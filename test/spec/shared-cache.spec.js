@@ -0,0 +1,299 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const chai = require("chai");
+const expect = chai.expect;
+const reactComponentCache = require("../..");
+const helper = require("../helper");
+
+// Fake ioredis style client, only implements the commands used by the Redis backend.
+const createFakeRedisClient = function () {
+  const store = {};
+  const commands = [];
+  return {
+    store: store,
+    commands: commands,
+    call: function (command) {
+      const args = [].slice.call(arguments, 1);
+      commands.push([command].concat(args));
+      if (command === "GET") {
+        return Promise.resolve(store.hasOwnProperty(args[0]) ? store[args[0]] : null);
+      } else if (command === "SET") {
+        store[args[0]] = args[1];
+        return Promise.resolve("OK");
+      } else if (command === "DEL") {
+        delete store[args[0]];
+        return Promise.resolve(1);
+      }
+      const prefix = args[2].slice(0, -1);
+      return Promise.resolve(["0", Object.keys(store).filter((key) => key.indexOf(prefix) === 0)]);
+    }
+  };
+};
+
+describe("shared cache", function () {
+  const setup = helper.setupHelloWorld;
+
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+  // Shared keys are namespaced by the versions of the library and of react-dom
+  const sharedKey = (key) => `${require("../../package.json").version}:${require("react-dom/package.json").version}:${key}`;
+
+  // The keys of the entries, without the references indexing them
+  const entryKeys = (keys) => keys.filter((key) => key.indexOf(sharedKey("~")) !== 0);
+
+  it("should write rendered entries through to the shared cache", () => {
+    const sharedCache = reactComponentCache.createMemoryCache();
+    const env = setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}, sharedCache: sharedCache});
+
+    env.render("Hello World X!");
+    env.render("Hello World X!");
+    return flush().then(() => sharedCache.keys()).then((keys) => {
+      expect(entryKeys(keys)).to.deep.equal([sharedKey("HelloWorld:\"Hello World X!\":")]);
+      expect(keys).to.include(sharedKey("~c~HelloWorld~HelloWorld:\"Hello World X!\":"));
+      return sharedCache.get(keys[0]);
+    }).then((value) => {
+      expect(value.markup).to.equal("<div>Hello World X!</div>");
+      expect(value.template).to.be.null;
+    });
+  });
+
+  it("should prefetch shared entries into a new process' local cache", () => {
+    const sharedCache = reactComponentCache.createMemoryCache();
+    const config = () => ({components: {"HelloWorld": {templateAttrs: ["text"]}}, sharedCache: sharedCache});
+    const first = setup(config());
+
+    expect(first.render("Hello World X!")).to.equal("<div>Hello World X!</div>");
+    return flush().then(() => {
+      const second = setup(config());
+      return second.ref.cachePrefetch().then((count) => {
+        expect(count).to.equal(1);
+        expect(second.ref.cacheLength()).to.equal(1);
+        expect(second.render("Hello World Y!")).to.equal("<div>Hello World Y!</div>");
+        expect(second.counts.render).to.equal(0);
+      });
+    });
+  });
+
+  it("should prefetch only the requested keys", () => {
+    const sharedCache = reactComponentCache.createMemoryCache();
+    const env = setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}, sharedCache: sharedCache});
+
+    env.render("X");
+    env.render("Y");
+    return flush().then(() => {
+      const second = setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}, sharedCache: sharedCache});
+      return second.ref.cachePrefetch(["HelloWorld:\"Y\":", "HelloWorld:\"Z\":"]).then((count) => {
+        expect(count).to.equal(1);
+        second.render("Y");
+        second.render("X");
+        expect(second.counts.render).to.equal(1);
+      });
+    });
+  });
+
+  it("should use the entries other processes wrote after a miss of the local cache", () => {
+    const sharedCache = reactComponentCache.createMemoryCache();
+    const set = sharedCache.set;
+    let writes = 0;
+    sharedCache.set = (key, value, maxAge) => {
+      writes += entryKeys([key]).length;
+      return set(key, value, maxAge);
+    };
+    const config = () => ({components: {"HelloWorld": {cacheAttrs: ["text"]}}, sharedCache: sharedCache});
+    const first = setup(config());
+    const second = setup(config());
+
+    reactComponentCache.withOptimizer(first.ref, () => first.render("X"));
+    return flush().then(() => {
+      second.render("X");
+      return flush();
+    }).then(() => {
+      expect(writes).to.equal(1);
+      expect(second.ref.cacheDump()[0].v.createdAt).to.equal(first.ref.cacheDump()[0].v.createdAt);
+    });
+  });
+
+  it("should keep the entries of other versions apart", () => {
+    const sharedCache = reactComponentCache.createMemoryCache();
+    const env = setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}, sharedCache: sharedCache});
+
+    return sharedCache.set("0.0.1:15.0.0:HelloWorld:\"X\":", {markup: "<div>old</div>"}).then(() => {
+      return env.ref.cachePrefetch();
+    }).then((count) => {
+      expect(count).to.equal(0);
+      expect(env.render("X")).to.equal("<div>X</div>");
+    });
+  });
+
+  it("should report shared cache errors as events", () => {
+    const events = [];
+    const env = setup({
+      components: {"HelloWorld": {cacheAttrs: ["text"]}},
+      sharedCache: {
+        get: () => Promise.reject(new Error("down")),
+        set: () => Promise.reject(new Error("down"))
+      },
+      eventCallback: (e) => events.push(e)
+    });
+
+    expect(env.render("X")).to.equal("<div>X</div>");
+    return flush().then(() => env.ref.cachePrefetch(["HelloWorld:\"X\":"])).then((count) => {
+      expect(count).to.equal(0);
+      return flush();
+    }).then(() => {
+      const errors = events.filter((e) => e.type === "sharedCache");
+      expect(errors.map((e) => e.action)).to.deep.equal(["get", "set", "get"]);
+      expect(errors[0].error.message).to.equal("down");
+    });
+  });
+
+  it("should report shared entries without valid markup as errors and render instead", () => {
+    const events = [];
+    const sharedCache = reactComponentCache.createMemoryCache();
+    const env = setup({
+      components: {"HelloWorld": {cacheAttrs: ["text"]}},
+      sharedCache: sharedCache,
+      eventCallback: (e) => events.push(e)
+    });
+
+    return Promise.all([
+      sharedCache.set(sharedKey("HelloWorld:\"X\":"), {markup: null}),
+      sharedCache.set(sharedKey("HelloWorld:\"Y\":"), {markup: "<div>", template: [{slot: 0}]})
+    ]).then(() => env.ref.cachePrefetch()).then((count) => {
+      expect(count).to.equal(0);
+      expect(env.render("X")).to.equal("<div>X</div>");
+      expect(env.render("Y")).to.equal("<div>Y</div>");
+      return flush();
+    }).then(() => {
+      expect(env.render("X")).to.equal("<div>X</div>");
+      expect(env.counts.render).to.equal(2);
+      const errors = events.filter((e) => e.type === "sharedCache");
+      expect(errors.map((e) => e.action)).to.deep.equal(["get", "get", "get", "get"]);
+      expect(errors[0].error.message).to.contain("holds no valid markup");
+    });
+  });
+
+  it("should delete invalidated entries from the shared cache", () => {
+    const sharedCache = reactComponentCache.createMemoryCache();
+    const env = setup({components: {"HelloWorld": {cacheAttrs: ["text"], cacheTags: (props) => [props.text]}}, sharedCache: sharedCache});
+
+    ["X", "Y", "Z"].forEach(env.render);
+    return flush().then(() => {
+      env.ref.invalidateKey("HelloWorld", {text: "X"});
+      env.ref.invalidateTag("Y");
+      return flush();
+    }).then(() => sharedCache.keys()).then((keys) => {
+      expect(entryKeys(keys)).to.deep.equal([sharedKey("HelloWorld:\"Z\":")]);
+      expect(keys.filter((key) => !/HelloWorld:"Z":$/.test(key))).to.deep.equal([]);
+      env.ref.cacheReset();
+      return flush();
+    }).then(() => sharedCache.keys()).then((keys) => {
+      expect(keys).to.deep.equal([]);
+      const second = setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}, sharedCache: sharedCache});
+      return second.ref.cachePrefetch();
+    }).then((count) => {
+      expect(count).to.equal(0);
+    });
+  });
+
+  it("should delete the entries embedding invalidated entries without reading them", () => {
+    const sharedCache = reactComponentCache.createMemoryCache();
+    const get = sharedCache.get;
+    let reads = 0;
+    sharedCache.get = (key) => {
+      reads++;
+      return get(key);
+    };
+    const env = helper.setup({components: {"Item": {cacheAttrs: ["text"]}, "List": {cacheAttrs: ["id"]}}, sharedCache: sharedCache});
+    const Item = env.component("Item");
+    const List = env.component("List", function (React) {
+      return React.createElement("ul", null, ["X", "Y"].map((text) => React.createElement(Item, {key: text, text: text})));
+    });
+
+    env.ReactDomServer.renderToStaticMarkup(env.React.createElement(List, {id: 1}));
+    env.ReactDomServer.renderToStaticMarkup(env.React.createElement(Item, {text: "Z"}));
+    return flush().then(() => {
+      reads = 0;
+      env.ref.invalidateKey("Item", {text: "X"});
+      return flush();
+    }).then(() => sharedCache.keys()).then((keys) => {
+      expect(reads).to.equal(0);
+      expect(entryKeys(keys).sort()).to.deep.equal([sharedKey("Item:\"Y\":"), sharedKey("Item:\"Z\":")]);
+      expect(keys.filter((key) => /List|"X"/.test(key))).to.deep.equal([]);
+    });
+  });
+
+  it("should resolve prefetch without a shared cache", () => {
+    const env = setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}});
+    return env.ref.cachePrefetch().then((count) => {
+      expect(count).to.equal(0);
+    });
+  });
+
+  describe("memory backend", function () {
+    it("should persist entries to a file", () => {
+      const file = path.join(os.tmpdir(), `react-ssr-optimization-${process.pid}.json`);
+      const first = reactComponentCache.createMemoryCache({file: file});
+      return first.set("a", {markup: "<b></b>"}).then(() => {
+        const second = reactComponentCache.createMemoryCache({file: file});
+        return second.get("a");
+      }).then((value) => {
+        expect(value).to.deep.equal({markup: "<b></b>"});
+        fs.unlinkSync(file);
+      });
+    });
+
+    it("should expire entries after maxAge", () => {
+      const sharedCache = reactComponentCache.createMemoryCache();
+      return sharedCache.set("a", {}, 1)
+        .then(() => new Promise((resolve) => setTimeout(resolve, 5)))
+        .then(() => sharedCache.get("a"))
+        .then((value) => {
+          expect(value).to.be.undefined;
+        });
+    });
+  });
+
+  describe("redis backend", function () {
+    it("should store JSON entries under a key prefix with an expiry", () => {
+      const client = createFakeRedisClient();
+      const sharedCache = reactComponentCache.createRedisCache(client, {keyPrefix: "app:"});
+      return sharedCache.set("HelloWorld:X:", {markup: "<div></div>"}, 1000).then(() => {
+        expect(client.commands[0]).to.deep.equal(["SET", "app:HelloWorld:X:", "{\"markup\":\"<div></div>\"}", "PX", 1000]);
+        return sharedCache.get("HelloWorld:X:");
+      }).then((value) => {
+        expect(value).to.deep.equal({markup: "<div></div>"});
+        return sharedCache.get("missing");
+      }).then((value) => {
+        expect(value).to.be.undefined;
+        return sharedCache.keys();
+      }).then((keys) => {
+        expect(keys).to.deep.equal(["HelloWorld:X:"]);
+      });
+    });
+
+    it("should not set an expiry for entries without maxAge", () => {
+      const client = createFakeRedisClient();
+      const sharedCache = reactComponentCache.createRedisCache(client);
+      return sharedCache.set("a", {}, Infinity).then(() => {
+        expect(client.commands[0]).to.deep.equal(["SET", "react-ssr-optimization:a", "{}"]);
+      });
+    });
+
+    it("should support callback based clients", () => {
+      const sharedCache = reactComponentCache.createRedisCache({
+        send_command: (command, args, callback) => { // eslint-disable-line camelcase
+          callback(null, command === "GET" ? "{\"markup\":\"x\"}" : "OK");
+        }
+      });
+      return sharedCache.get("a").then((value) => {
+        expect(value).to.deep.equal({markup: "x"});
+      });
+    });
+  });
+});
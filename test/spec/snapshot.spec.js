@@ -0,0 +1,130 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const chai = require("chai");
+const expect = chai.expect;
+const helper = require("../helper");
+
+describe("cache snapshots", function () {
+  const file = path.join(os.tmpdir(), `react-ssr-optimization-snapshot-${process.pid}.json`);
+
+  const setup = helper.setupHelloWorld;
+
+  const editSnapshot = function (edit) {
+    const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+    edit(snapshot);
+    fs.writeFileSync(file, JSON.stringify(snapshot));
+  };
+
+  afterEach(() => {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it("should save and load cache entries including templates", () => {
+    const first = setup({components: {"HelloWorld": {templateAttrs: ["text"]}}});
+    first.render("Hello World X!");
+    expect(first.ref.cacheSave(file)).to.equal(1);
+
+    const second = setup({components: {"HelloWorld": {templateAttrs: ["text"]}}});
+    expect(second.ref.cacheLoad(file)).to.equal(1);
+    expect(second.render("Hello World Y!")).to.equal("<div>Hello World Y!</div>");
+    expect(second.counts.render).to.equal(0);
+  });
+
+  it("should store compiled templates as markup and slots", () => {
+    const env = setup({components: {"HelloWorld": {templateAttrs: ["text"]}}});
+    env.render("Hello World X!");
+    env.ref.cacheSave(file);
+
+    const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+    expect(snapshot.entries).to.have.length(1);
+    expect(snapshot.entries[0].key).to.equal("HelloWorld:_defaultKey:");
+    expect(snapshot.entries[0].template).to.deep.equal(["<div>", {path: ["text"], context: "text"}, "</div>"]);
+    expect(snapshot.version).to.equal(require("../../package.json").version);
+    expect(snapshot.reactVersion).to.equal(require("react-dom/package.json").version);
+  });
+
+  it("should keep the recency order of entries", () => {
+    const first = setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}});
+    first.render("X");
+    first.render("Y");
+    first.render("X");
+    first.ref.cacheSave(file);
+
+    const second = setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}, lruCacheSettings: {max: 1}});
+    second.ref.cacheLoad(file);
+    expect(second.ref.cacheDump().map((hit) => hit.k)).to.deep.equal(["HelloWorld:\"X\":"]);
+  });
+
+  it("should skip entries older than maxAge", () => {
+    const first = setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}});
+    first.render("X");
+    first.render("Y");
+    first.ref.cacheSave(file);
+    editSnapshot((snapshot) => {
+      snapshot.entries[0].createdAt -= 60000;
+    });
+
+    const second = setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}, lruCacheSettings: {maxAge: 30000}});
+    expect(second.ref.cacheLoad(file)).to.equal(1);
+    second.render("X");
+    second.render("Y");
+    expect(second.counts.render).to.equal(1);
+  });
+
+  it("should reject snapshots of other library or react versions", () => {
+    const env = setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}});
+    env.render("X");
+    env.ref.cacheSave(file);
+
+    editSnapshot((snapshot) => {
+      snapshot.version = "0.0.1";
+    });
+    expect(() => env.ref.cacheLoad(file)).to.throw(/saved by version 0.0.1 of the library/);
+
+    env.ref.cacheSave(file);
+    editSnapshot((snapshot) => {
+      snapshot.reactVersion = "0.13.0";
+    });
+    expect(() => env.ref.cacheLoad(file)).to.throw(/saved with react-dom 0.13.0/);
+  });
+
+  it("should load the configured snapshot file on start and save it on exit", () => {
+    const first = setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}});
+    first.render("X");
+    first.ref.cacheSave(file);
+
+    const listeners = process.listeners("exit").length;
+    const second = setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}, snapshotFile: file});
+    expect(process.listeners("exit")).to.include(second.ref.saveSnapshot);
+
+    expect(second.ref.cacheLength()).to.equal(1);
+    second.render("Y");
+    second.ref.saveSnapshot();
+    second.ref.dispose();
+    expect(process.listeners("exit").length).to.equal(listeners);
+    const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+    expect(snapshot.entries.map((data) => data.key)).to.deep.equal(["HelloWorld:\"Y\":", "HelloWorld:\"X\":"]);
+  });
+
+  it("should report invalid configured snapshot files as events", (done) => {
+    fs.writeFileSync(file, "{\"format\": 0}");
+    const env = setup({
+      components: {"HelloWorld": {cacheAttrs: ["text"]}},
+      snapshotFile: file,
+      eventCallback: (e) => {
+        expect(e.type).to.equal("snapshot");
+        expect(e.event).to.equal("error");
+        expect(e.error.message).to.contain("saved by version");
+        done();
+      }
+    });
+    env.ref.dispose();
+  });
+});
@@ -0,0 +1,64 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const helper = require("../helper");
+
+describe("static markup", function () {
+  let React;
+  let ReactDomServer;
+  let renderCount;
+
+  const setup = function () {
+    renderCount = 0;
+    const env = helper.setup({components: {"Tile": {cacheAttrs: ["id"]}}});
+    React = env.React;
+    ReactDomServer = env.ReactDomServer;
+    const Tile = class extends React.Component {
+      render() {
+        renderCount++;
+        return React.createElement("div", null, React.createElement("b", null, this.props.id), " ", "tile");
+      }
+    };
+    Tile.displayName = "Tile";
+    const page = (props) => React.createElement("main", null, "Tiles: ", React.createElement(Tile, props));
+    const render = (renderer) => (props) => ReactDomServer[renderer](page(props));
+    return {ref: env.ref, static: render("renderToStaticMarkup"), hydratable: render("renderToString")};
+  };
+
+  const keys = (ref) => ref.cacheDump().map((hit) => hit.k).sort();
+
+  it("should cache static and hydratable markup separately", () => {
+    const env = setup();
+
+    const staticMarkup = env.static({id: 1});
+    const hydratable = env.hydratable({id: 1});
+    expect(env.static({id: 1})).to.equal(staticMarkup);
+    expect(env.hydratable({id: 1})).to.equal(hydratable);
+    expect(staticMarkup).to.not.contain("data-react");
+    expect(hydratable).to.contain("data-reactroot");
+    expect(renderCount).to.equal(2);
+    expect(keys(env.ref)).to.deep.equal(["Tile:1:", "Tile:1:|hydratable"]);
+  });
+
+  it("should not keep track of the ids of static markup", () => {
+    const env = setup();
+
+    env.static({id: 1});
+    const entry = env.ref.cacheDump()[0].v;
+    expect(entry.rootId).to.equal(null);
+    expect(entry.segments).to.equal(undefined);
+  });
+
+  it("should invalidate static and hydratable markup together", () => {
+    const env = setup();
+
+    env.static({id: 1});
+    env.hydratable({id: 1});
+    env.static({id: 2});
+    expect(env.ref.invalidateKey("Tile", {id: 1})).to.equal(2);
+    expect(keys(env.ref)).to.deep.equal(["Tile:2:"]);
+  });
+});
@@ -0,0 +1,161 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const helper = require("../helper");
+
+describe("cache stats", function () {
+  it("should count hits, misses and bypasses per component", () => {
+    const env = helper.setup({
+      components: {
+        "ProductTile": {
+          cacheKeyGen: (props) => {
+            return props.text === "skip" ? null : props.text;
+          }
+        },
+        "GlobalNav": {cacheAttrs: ["text"]}
+      }
+    });
+    const productTile = env.createComponent("ProductTile");
+    const globalNav = env.createComponent("GlobalNav");
+
+    ["A", "A", "A", "B", "skip"].forEach((text) => productTile({text: text}));
+    globalNav({text: "nav"});
+
+    const stats = env.ref.getStats();
+    expect(stats.ProductTile).to.include({hits: 2, misses: 2, bypasses: 1, evictions: 0, hitRatio: 0.5});
+    expect(stats.GlobalNav).to.include({hits: 0, misses: 1, bypasses: 0, hitRatio: 0});
+    expect(stats.ProductTile.renderTimeNS).to.be.above(0);
+    expect(stats.ProductTile.renderTimeSavedNS).to.be.above(0);
+  });
+
+  it("should track the bytes stored and the evictions", () => {
+    const env = helper.setup({components: {"ProductTile": {cacheAttrs: ["text"], maxEntries: 2}}});
+    const productTile = env.createComponent("ProductTile");
+
+    ["A", "B"].forEach((text) => productTile({text: text}));
+    expect(env.ref.getStats().ProductTile).to.include({bytesStored: 24, evictions: 0});
+    productTile({text: "CC"});
+    expect(env.ref.getStats().ProductTile).to.include({bytesStored: 25, evictions: 1});
+  });
+
+  it("should not count deleted entries as evictions", () => {
+    const env = helper.setup({components: {"ProductTile": {cacheAttrs: ["text"]}}});
+    const productTile = env.createComponent("ProductTile");
+
+    ["A", "B"].forEach((text) => productTile({text: text}));
+    env.ref.invalidateKey("ProductTile", {text: "A"});
+    env.ref.cacheReset();
+    expect(env.ref.getStats().ProductTile).to.include({bytesStored: 0, evictions: 0});
+  });
+
+  it("should count the template render time of hits", () => {
+    const env = helper.setup({components: {"ProductTile": {templateAttrs: ["text"]}}});
+    const productTile = env.createComponent("ProductTile");
+
+    productTile({text: "A"});
+    productTile({text: "B"});
+    const stats = env.ref.getStats().ProductTile;
+    expect(stats).to.include({hits: 1, misses: 1});
+    expect(stats.templateRenderTimeNS).to.be.above(0);
+  });
+
+  it("should expose the stats in the Prometheus text format", () => {
+    const env = helper.setup({components: {"ProductTile": {cacheAttrs: ["text"]}}});
+    const productTile = env.createComponent("ProductTile");
+
+    productTile({text: "A"});
+    productTile({text: "A"});
+    const metrics = env.ref.getPrometheusMetrics();
+    expect(metrics).to.contain("# TYPE react_ssr_optimization_cache_hits_total counter\n");
+    expect(metrics).to.contain("react_ssr_optimization_cache_hits_total{component=\"ProductTile\"} 1\n");
+    expect(metrics).to.contain("react_ssr_optimization_cache_misses_total{component=\"ProductTile\"} 1\n");
+    expect(metrics).to.contain("react_ssr_optimization_cache_hit_ratio{component=\"ProductTile\"} 0.5\n");
+    expect(metrics).to.contain("react_ssr_optimization_cache_stored_bytes{component=\"ProductTile\"} 12\n");
+  });
+
+  it("should reset the counters but keep the bytes stored", () => {
+    const env = helper.setup({components: {"ProductTile": {cacheAttrs: ["text"]}}});
+    env.createComponent("ProductTile")({text: "A"});
+
+    env.ref.resetStats();
+    expect(env.ref.getStats().ProductTile).to.include({hits: 0, misses: 0, bytesStored: 12});
+  });
+
+  it("should not count the bytes stored by a custom cacheImpl", () => {
+    const store = {};
+    const env = helper.setup({
+      components: {"ProductTile": {cacheAttrs: ["text"]}, "GlobalNav": {cacheAttrs: ["text"], maxEntries: 1}},
+      cacheImpl: {get: (key) => store[key], set: (key, value) => {
+        store[key] = value;
+      }}
+    });
+    env.createComponent("ProductTile")({text: "A"});
+    env.createComponent("GlobalNav")({text: "A"});
+
+    expect(env.ref.getStats().ProductTile).to.include({misses: 1, bytesStored: 0});
+    expect(env.ref.getStats().GlobalNav).to.include({misses: 1, bytesStored: 12});
+  });
+
+  it("should not collect stats when disabled", () => {
+    const env = helper.setup({components: {"ProductTile": {cacheAttrs: ["text"]}}, collectStats: false});
+    env.createComponent("ProductTile")({text: "A"});
+
+    expect(env.ref.getStats()).to.deep.equal({});
+    expect(env.ref.getPrometheusMetrics()).to.equal("");
+  });
+
+  describe("timing events", function () {
+    const hrtime = process.hrtime;
+
+    afterEach(() => {
+      process.hrtime = hrtime;
+    });
+
+    const renderWithEvents = function (durations, texts) {
+      const events = [];
+      const env = helper.setup({
+        components: {"ProductTile": {cacheAttrs: ["text"]}},
+        eventCallback: (e) => events.push(e),
+        collectLoadTimeStats: true
+      });
+      const productTile = env.createComponent("ProductTile");
+      process.hrtime = (start) => {
+        return start ? durations.shift() : [0, 0];
+      };
+      texts.forEach((text) => productTile({text: text}));
+      process.hrtime = hrtime;
+      return {events: events, ref: env.ref};
+    };
+
+    it("should report the full load time of misses", (done) => {
+      const events = renderWithEvents([[2, 500]], ["A"]).events;
+      process.nextTick(() => {
+        expect(events).to.deep.equal([
+          {type: "cache", event: "miss", cmpName: "ProductTile", loadTimeNS: 2000000500}
+        ]);
+        done();
+      });
+    });
+
+    it("should report the restore time and the time saved by hits", (done) => {
+      const events = renderWithEvents([[1, 0], [0, 1000], [0, 3000]], ["A", "A", "A"]).events;
+      process.nextTick(() => {
+        expect(events.slice(1)).to.deep.equal([
+          {type: "cache", event: "hit", cmpName: "ProductTile", loadTimeNS: 1000, savedTimeNS: 999999000},
+          {type: "cache", event: "hit", cmpName: "ProductTile", loadTimeNS: 3000, savedTimeNS: 999997000}
+        ]);
+        done();
+      });
+    });
+
+    it("should add up the time saved by the hits of each cache key", () => {
+      const ref = renderWithEvents([[0, 1000], [0, 5000], [0, 100], [0, 200]], ["A", "B", "A", "B"]).ref;
+      expect(ref.getStats().ProductTile).to.include({
+        renderTimeNS: 6000, renderTimeSavedNS: 5700, templateRenderTimeNS: 300
+      });
+    });
+  });
+});
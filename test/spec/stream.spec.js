@@ -0,0 +1,96 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const reactComponentCache = require("../..");
+const MemoizedMarkupStream = require("../../lib/stream");
+const helper = require("../helper");
+
+const REACT_MAJOR_VERSION = parseInt(require("react-dom/package.json").version, 10);
+
+const readChunks = function (stream, callback) {
+  const chunks = [];
+  stream.on("data", (chunk) => chunks.push(chunk.toString()));
+  stream.on("error", callback);
+  stream.on("end", () => callback(null, chunks));
+};
+
+describe("streaming render", function () {
+  let React;
+  let ReactDomServer;
+  let renderCount;
+  let HelloWorld;
+
+  beforeEach(() => {
+    renderCount = 0;
+    const env = helper.setup({
+      components: {"HelloWorld": {cacheAttrs: ["text"]}}
+    });
+    React = env.React;
+    ReactDomServer = env.ReactDomServer;
+    HelloWorld = class extends React.Component {
+      render() {
+        renderCount++;
+        return React.createElement("header", null, this.props.text);
+      }
+    };
+    HelloWorld.displayName = "HelloWorld";
+  });
+
+  const page = (text) => React.createElement("div", null,
+    React.createElement(HelloWorld, {text: text}),
+    React.createElement("main", null, "content"));
+
+  it("should stream the same markup as renderToString", (done) => {
+    ReactDomServer.renderToString(page("Hello World X!"));
+    const expected = ReactDomServer.renderToString(page("Hello World X!"));
+    expect(renderCount).to.equal(1);
+    readChunks(reactComponentCache.renderToNodeStream(page("Hello World X!")), (err, chunks) => {
+      expect(err).to.not.be.ok;
+      expect(chunks.join("")).to.equal(expected);
+      expect(renderCount).to.equal(1);
+      done();
+    });
+  });
+
+  it("should stream static markup", (done) => {
+    readChunks(reactComponentCache.renderToStaticNodeStream(page("Hello World X!")), (err, chunks) => {
+      expect(err).to.not.be.ok;
+      expect(chunks.join("")).to.equal("<div><header>Hello World X!</header><main>content</main></div>");
+      done();
+    });
+  });
+
+  (REACT_MAJOR_VERSION >= 16 ? it : it.skip)("should flush memoized markup as its own chunk", (done) => {
+    ReactDomServer.renderToStaticMarkup(page("Hello World X!"));
+    readChunks(reactComponentCache.renderToStaticNodeStream(page("Hello World X!")), (err, chunks) => {
+      expect(err).to.not.be.ok;
+      expect(chunks[0]).to.equal("<div><header>Hello World X!</header>");
+      expect(chunks.join("")).to.equal("<div><header>Hello World X!</header><main>content</main></div>");
+      expect(renderCount).to.equal(1);
+      done();
+    });
+  });
+});
+
+describe("memoized markup stream", function () {
+  it("should destroy a renderer that throws and emit its error", (done) => {
+    let destroyed = false;
+    const renderer = {
+      exhausted: false,
+      read: () => {
+        throw new Error("render failed");
+      },
+      destroy: () => {
+        destroyed = true;
+      }
+    };
+    readChunks(new MemoizedMarkupStream(renderer), (err) => {
+      expect(err.message).to.equal("render failed");
+      expect(destroyed).to.equal(true);
+      done();
+    });
+  });
+});
@@ -0,0 +1,121 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const helper = require("../helper");
+
+describe("template attributes", function () {
+  let React;
+  let ReactDomServer;
+  let renderCount;
+
+  const XSS = "\"><script>alert('x')</script>&amp;";
+
+  // Card is cached, Plain renders the same markup without the cache
+  const setup = function (cacheConfig, render) {
+    renderCount = 0;
+    const env = helper.setup({components: {"Card": cacheConfig}});
+    React = env.React;
+    ReactDomServer = env.ReactDomServer;
+    const Card = class extends React.Component {
+      render() {
+        renderCount++;
+        return render.call(this);
+      }
+    };
+    Card.displayName = "Card";
+    const Plain = class extends React.Component {
+      render() {
+        return render.call(this);
+      }
+    };
+    const renderWith = (type) => (props) => ReactDomServer.renderToStaticMarkup(React.createElement(type, props));
+    return {ref: env.ref, card: renderWith(Card), plain: renderWith(Plain)};
+  };
+
+  // Renders the props after a first render with other values filled the cache
+  const expectHit = function (env, first, props) {
+    env.card(first);
+    const markup = env.card(props);
+    expect(renderCount).to.equal(1);
+    return markup;
+  };
+
+  it("should escape values in text and attributes", () => {
+    const env = setup({templateAttrs: ["label"]}, function () {
+      return React.createElement("a", {title: this.props.label, "data-label": this.props.label}, this.props.label);
+    });
+
+    const markup = expectHit(env, {label: "safe"}, {label: XSS});
+    expect(markup).to.equal(env.plain({label: XSS}));
+    expect(markup).to.not.contain("<script>");
+  });
+
+  it("should not evaluate template delimiters of props", () => {
+    const env = setup({cacheAttrs: ["id"], templateAttrs: ["label"]}, function () {
+      return React.createElement("div", {id: this.props.id}, this.props.label);
+    });
+
+    const props = {id: "${process.exit()}<%= 1 + 1 %>", label: "${label}<%= 2 + 2 %>"};
+    const markup = expectHit(env, {id: props.id, label: "safe"}, props);
+    expect(markup).to.equal(env.plain(props));
+    expect(markup).to.contain("${label}&lt;%= 2 + 2 %&gt;");
+  });
+
+  it("should escape ampersands and quotes of URLs", () => {
+    const env = setup({templateAttrs: ["href"]}, function () {
+      return React.createElement("a", {href: this.props.href}, "link");
+    });
+
+    const href = "/search?q=\"chairs\"&sort='price'";
+    expect(expectHit(env, {href: "/"}, {href: href})).to.equal(env.plain({href: href}));
+  });
+
+  it("should render javascript: URLs as they are, like React", () => {
+    const env = setup({templateAttrs: ["href"]}, function () {
+      return React.createElement("a", {href: this.props.href}, "link");
+    });
+
+    const href = "javascript:void(0)"; // eslint-disable-line no-script-url
+    expect(expectHit(env, {href: "/"}, {href: href})).to.equal(env.plain({href: href}));
+  });
+
+  it("should render style values the way React does", () => {
+    const env = setup({templateAttrs: ["style"]}, function () {
+      return React.createElement("div", {style: this.props.style});
+    });
+
+    const style = {width: 10, lineHeight: 2, marginTop: 0, color: " red ", content: XSS, WebkitFlex: 1};
+    const first = {style: {width: 1, lineHeight: 1, marginTop: 1, color: "blue", content: "x", WebkitFlex: 2}};
+    const markup = expectHit(env, first, {style: style});
+    expect(markup).to.equal(env.plain({style: style}));
+    expect(markup).to.contain("width:10px;line-height:2;margin-top:0");
+  });
+
+  it("should key the values rendering nothing", () => {
+    const env = setup({templateAttrs: ["label", "flags"]}, function () {
+      return React.createElement("div", null, this.props.label, this.props.flags.bold ? "!" : null);
+    });
+
+    expect(expectHit(env, {label: null, flags: {bold: true}}, {label: null, flags: {bold: true}})).to.equal("<div>!</div>");
+    expect(env.card({label: "x", flags: {bold: false}})).to.equal("<div>x</div>");
+    expect(env.ref.cacheDump().map((hit) => hit.k).sort()).to.deep.equal([
+      "Card:_defaultKey:a.flags.bold=false", "Card:_defaultKey:a.label=null,a.flags.bold=true"
+    ]);
+  });
+
+  it("should restore the props the component rendered with", () => {
+    const env = setup({templateAttrs: ["items", "meta.title"]}, function () {
+      return React.createElement("ul", {title: this.props.meta.title},
+        this.props.items.map((item) => React.createElement("li", {key: item.id}, item.name)));
+    });
+
+    const props = {items: [{id: "a", name: XSS}, {id: "b", name: "b"}], meta: {title: XSS}};
+    const markup = expectHit(env, {items: [{id: "a", name: "a"}, {id: "b", name: "b"}], meta: {title: "x"}}, props);
+    expect(markup).to.equal(env.plain(props));
+    expect(props).to.deep.equal({items: [{id: "a", name: XSS}, {id: "b", name: "b"}], meta: {title: XSS}});
+    expect(env.ref.cacheDump().map((hit) => hit.k)).to.deep.equal(["Card:_defaultKey:a.items_2"]);
+  });
+});
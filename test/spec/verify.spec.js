@@ -0,0 +1,98 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const verify = require("../../lib/verify");
+const helper = require("../helper");
+
+describe("verify mode", function () {
+  // ProductTile is cached by its text and rendered in a section to hydratable markup
+  const setup = function (config) {
+    const events = [];
+    const env = helper.setup(Object.assign({
+      components: {"ProductTile": {cacheAttrs: ["text"]}},
+      eventCallback: (e) => events.push(e)
+    }, config));
+    const React = env.React;
+    const ProductTile = env.component("ProductTile", function () {
+      return React.createElement("div", {className: "tile"},
+        React.createElement("span", null, this.props.text),
+        React.createElement("span", null, this.props.label));
+    });
+    return {
+      events: events,
+      renderCounts: env.renderCounts,
+      productTile: (props) => env.ReactDomServer.renderToString(React.createElement("section", null,
+        "Price: ", React.createElement(ProductTile, props)))
+    };
+  };
+
+  afterEach(() => {
+    process.env.NODE_ENV = "production";
+  });
+
+  it("should report hits whose markup does not match the rendered markup", (done) => {
+    const env = setup({verify: true});
+
+    env.productTile({text: "A", label: "new"});
+    const markup = env.productTile({text: "A", label: "sale"});
+    expect(markup).to.contain("new");
+    expect(env.renderCounts.ProductTile).to.equal(2);
+    process.nextTick(() => {
+      const mismatches = env.events.filter((e) => e.type === "verify");
+      expect(mismatches).to.have.length(1);
+      expect(mismatches[0]).to.include({event: "mismatch", cmpName: "ProductTile", cacheKey: "ProductTile:\"A\":|hydratable"});
+      expect(mismatches[0].diff.expected).to.contain("sale");
+      expect(mismatches[0].diff.actual).to.contain("new");
+      done();
+    });
+  });
+
+  it("should not report hits matching the rendered markup", (done) => {
+    const env = setup({verify: true, components: {"ProductTile": {cacheAttrs: ["text"], templateAttrs: ["label"]}}});
+
+    env.productTile({text: "A", label: "new"});
+    env.productTile({text: "A", label: "sale"});
+    env.productTile({text: "A", label: "sale"});
+    expect(env.renderCounts.ProductTile).to.equal(3);
+    process.nextTick(() => {
+      expect(env.events.filter((e) => e.type === "verify")).to.deep.equal([]);
+      done();
+    });
+  });
+
+  it("should only verify the configured sample of hits", () => {
+    const env = setup({verify: {sampleRate: 0}});
+
+    env.productTile({text: "A", label: "new"});
+    env.productTile({text: "A", label: "new"});
+    expect(env.renderCounts.ProductTile).to.equal(1);
+  });
+
+  it("should enable caching in non-production environments", () => {
+    process.env.NODE_ENV = "development";
+    const env = setup({verify: {sampleRate: 0}});
+
+    env.productTile({text: "A", label: "new"});
+    env.productTile({text: "A", label: "new"});
+    expect(env.renderCounts.ProductTile).to.equal(1);
+  });
+
+  it("should compare markup without ids", () => {
+    expect(verify.diff(
+      "<div data-reactroot=\"\" data-reactid=\"1\"><!-- react-text: 2 -->A<!-- /react-text --></div>",
+      "<div data-reactid=\".0.1\"><!-- react-text: .0.1.0 -->A<!-- /react-text --></div>")).to.equal(null);
+    expect(verify.diff("<div>A<!-- -->B</div>", "<div>AB</div>")).to.equal(null);
+  });
+
+  it("should return the differing part of the markup", () => {
+    const prefix = new Array(60).join("x");
+    expect(verify.diff(`<div>${prefix}sale</div>`, `<div>${prefix}new</div>`)).to.deep.equal({
+      offset: 64,
+      expected: `${prefix.slice(-40)}sale</div>`,
+      actual: `${prefix.slice(-40)}new</div>`
+    });
+  });
+});
@@ -0,0 +1,87 @@
+"use strict";
+
+process.env.NODE_ENV = "production";
+
+const chai = require("chai");
+const expect = chai.expect;
+const helper = require("../helper");
+
+describe("cache warm-up", function () {
+  it("should fill the cache from fixture props", () => {
+    const env = helper.setup({
+      components: {
+        "HelloWorld": {cacheAttrs: ["text"]},
+        "Price": {templateAttrs: ["amount"]}
+      }
+    });
+    const React = env.React;
+    const HelloWorld = env.component("HelloWorld");
+    const Price = env.component("Price", function () {
+      return React.createElement("span", null, this.props.amount);
+    });
+
+    const report = env.ref.warm([
+      {component: HelloWorld, props: [{text: "X"}, {text: "Y"}, {text: "X"}]},
+      {component: Price, props: [{amount: "$1"}]}
+    ]);
+
+    expect(report.entries).to.equal(3);
+    expect(report.components.HelloWorld).to.deep.equal({succeeded: 3, failed: 0, errors: []});
+    expect(report.components.Price.succeeded).to.equal(1);
+    expect(env.ref.cacheLength()).to.equal(3);
+    expect(env.renderCounts).to.deep.equal({HelloWorld: 2, Price: 1});
+
+    expect(env.ReactDomServer.renderToString(React.createElement(HelloWorld, {text: "Y"}))).to.contain("Y");
+    expect(env.ReactDomServer.renderToString(React.createElement(Price, {amount: "$2"}))).to.contain("$2");
+    expect(env.renderCounts).to.deep.equal({HelloWorld: 2, Price: 1});
+  });
+
+  it("should fill the cache of nested cached components", () => {
+    const env = helper.setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}});
+    const HelloWorld = env.component("HelloWorld");
+    const Page = env.component("Page", function (React) {
+      return React.createElement("main", null, React.createElement(HelloWorld, {text: this.props.title}));
+    });
+
+    const report = env.ref.warm([{component: Page, props: [{title: "X"}]}]);
+    expect(report.entries).to.equal(1);
+    expect(report.components.Page.succeeded).to.equal(1);
+  });
+
+  it("should report failed renders per component", () => {
+    const env = helper.setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}});
+    const HelloWorld = env.component("HelloWorld", function (React) {
+      return React.createElement("div", null, this.props.text.toUpperCase());
+    });
+
+    const report = env.ref.warm([{component: HelloWorld, props: [{text: "x"}, {}]}]);
+    expect(report.entries).to.equal(1);
+    expect(report.components.HelloWorld.succeeded).to.equal(1);
+    expect(report.components.HelloWorld.failed).to.equal(1);
+    expect(report.components.HelloWorld.errors[0]).to.be.an.instanceof(TypeError);
+  });
+
+  it("should fill the entries of static markup with the staticMarkup option", () => {
+    const env = helper.setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}});
+    const React = env.React;
+    const HelloWorld = env.component("HelloWorld");
+
+    const report = env.ref.warm([
+      {component: HelloWorld, props: [{text: "X"}]},
+      {component: HelloWorld, props: [{text: "Y"}], staticMarkup: false}
+    ], {staticMarkup: true});
+    expect(report.entries).to.equal(2);
+    expect(env.ReactDomServer.renderToStaticMarkup(React.createElement(HelloWorld, {text: "X"}))).to.equal("<div>X</div>");
+    expect(env.ReactDomServer.renderToString(React.createElement(HelloWorld, {text: "Y"}))).to.contain("Y");
+    expect(env.renderCounts.HelloWorld).to.equal(2);
+    env.ReactDomServer.renderToString(React.createElement(HelloWorld, {text: "X"}));
+    expect(env.renderCounts.HelloWorld).to.equal(3);
+  });
+
+  it("should not create entries when caching is disabled", () => {
+    const env = helper.setup({components: {"HelloWorld": {cacheAttrs: ["text"]}}, disabled: true});
+    const HelloWorld = env.component("HelloWorld");
+
+    expect(env.ref.warm([{component: HelloWorld, props: [{text: "X"}]}]).entries).to.equal(0);
+  });
+});